@@ -0,0 +1,493 @@
+const path = require('path')
+const fse = require('fs-extra')
+const chalk = require('chalk')
+const msg = require('fancy-log')
+const {
+  generateImages,
+  compareImages,
+  approveImages,
+} = require('./functions/image-diff')
+const { createHtmlReport } = require('./functions/report')
+const { createJUnitReport, createJsonReport } = require('./functions/result-export')
+const { SIZE_CHANGED } = require('./functions/pixel-diff')
+const { sizeLabel } = require('./functions/helpers')
+
+/**
+ * Process exit codes
+ */
+const EXIT = {
+  ok: 0,
+  failed: 1, // Some images failed, went missing or could not be captured
+  error: 2, // Invalid usage or unexpected error
+}
+
+/**
+ * Flags which don't take a value
+ */
+const BOOLEAN_FLAGS = ['serial', 'parallel', 'debug', 'help', 'missing', 'remove-outdated', 'dry-run', 'include-aa', 'captions', 'flicker', 'recursive']
+
+/**
+ * Flags which can be repeated, their values are collected into an array
+ */
+const LIST_FLAGS = ['include', 'exclude']
+
+const HELP = `
+Usage: oll-visual-tester <command> [options]
+
+Commands:
+  capture [config]    Generate screenshots from a config file
+  compare             Compare baseline and new images
+  approve [images]    Copy failed and missing new images into baseline.
+                      Approves all of them if no image names are given
+
+Options:
+  --config <file>     Config file (.js or .json) exporting an array of image
+                      configs or an object with \`imagesConfig\` and options
+  --baseline <dir>    Directory with baseline images
+  --new <dir>         Directory with new images
+  --diff <dir>        Directory where diff images are saved
+  --recursive         compare, approve: include images in subdirectories
+  --include <glob>    compare, approve: only use images matching the pattern, can be repeated
+  --exclude <glob>    compare, approve: skip images matching the pattern, can be repeated
+  --threshold <n>     compare, approve: pixel color threshold from 0 to 1
+  --include-aa        compare, approve: count anti-aliased pixels as different
+  --max-diff-pixels <n>
+                      compare, approve: allowed number of different pixels
+  --max-diff-percentage <n>
+                      compare, approve: allowed percentage of different pixels
+  --algorithm <name>  compare, approve: \`pixel\`, \`ssim\` or \`perceptual\` comparison
+  --min-score <n>     compare, approve: lowest allowed similarity score from 0 to 1
+  --size-mismatch <mode>
+                      compare, approve: \`pad\`, \`overlap\` or \`fail\` images with different sizes
+  --layout <name>     compare: \`horizontal\`, \`vertical\`, \`diff-only\` or \`overlay\` diff images
+  --no-captions       compare: don't label parts of diff images
+  --flicker           compare: also save animated PNGs flipping between baseline and new
+  --report <file>     Save HTML report of the comparison
+  --junit <file>      Save JUnit XML report of the comparison
+  --json <file>       Save JSON report of the comparison
+  --path <dir>        Output directory for captured images, overrides config
+  --network <mode>    capture: \`live\`, \`record\` or \`replay\` network traffic
+  --har-dir <dir>     capture: directory of HAR files, defaults to baseline directory
+  --storage-state <file>
+                      capture: Playwright storage state file with a logged in session
+  --serial            Capture screenshots one by one
+  --parallel          Capture screenshots in parallel
+  --threads <n>       Number of CPU threads to use in parallel mode
+  --concurrency <n>   Max screenshots captured or images compared at the same time
+  --workers <n>       compare: number of worker threads used to compare images
+  --no-missing        approve: don't add images missing in baseline
+  --remove-outdated   approve: delete outdated baseline images
+  --dry-run           approve: only list files which would be changed
+  --debug             Display additional messages
+  -h, --help          Display this message
+
+Exit codes:
+  0  Everything passed
+  1  Some images failed, are missing, outdated or could not be captured
+  2  Invalid usage or unexpected error
+`
+
+/**
+ * Converts `kebab-case` flag name to `camelCase` option name
+ *
+ * @param {String} name - Flag name without leading dashes
+ * @returns {String} Option name
+ */
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())
+
+/**
+ * Parses command line arguments. Supports `--flag value`, `--flag=value`,
+ * boolean `--flag` and negated `--no-flag` forms. Repeated list flags, such
+ * as `--include`, are collected into an array.
+ *
+ * @param {Array} argv - Arguments without `node` and script path
+ * @returns {Object} Parsed options, positional arguments are under `_` key
+ *
+ * @example
+ * parseArgs(['compare', '--baseline', './temp/baseline', '--debug'])
+ * // { _: ['compare'], baseline: './temp/baseline', debug: true }
+ */
+const parseArgs = (argv = []) => {
+  const args = { _: [] }
+  const set = (flag, value) => {
+    const name = camelCase(flag)
+
+    args[name] = LIST_FLAGS.includes(flag) ? [...(args[name] || []), value] : value
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (arg === '-h') {
+      args.help = true
+    } else if (!arg.startsWith('--')) {
+      args._.push(arg)
+    } else {
+      const separator = arg.indexOf('=')
+      const flag = separator > -1 ? arg.slice(2, separator) : arg.slice(2)
+
+      if (separator > -1) {
+        set(flag, arg.slice(separator + 1))
+      } else if (flag.startsWith('no-')) {
+        args[camelCase(flag.slice(3))] = false
+      } else if (BOOLEAN_FLAGS.includes(flag)) {
+        args[camelCase(flag)] = true
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        set(flag, argv[++i])
+      } else {
+        throw new Error(`Option --${flag} requires a value`)
+      }
+    }
+  }
+
+  return args
+}
+
+/**
+ * Loads config file. File may export an array of image configs or an object
+ * with `imagesConfig` array and other options.
+ *
+ * @param {String} file - Path to `.js` or `.json` config file
+ * @returns {Object} Config object
+ */
+const loadConfig = (file) => {
+  if (!file) { return {} }
+
+  const configPath = path.resolve(file)
+
+  if (!fse.existsSync(configPath)) {
+    throw new Error(`Config file ${configPath} does not exist`)
+  }
+
+  const config = require(configPath)
+
+  return Array.isArray(config) ? { imagesConfig: config } : config
+}
+
+/**
+ * Returns value of the first argument which is set
+ *
+ * @param {...Any} values - Values in order of priority
+ * @returns {Any} First defined value or `null`
+ */
+const pick = (...values) => {
+  const value = values.find(item => typeof item !== 'undefined' && item !== null)
+
+  return typeof value === 'undefined' ? null : value
+}
+
+/**
+ * Returns directory options shared by `compare` and `approve` commands
+ *
+ * @param {Object} args - Parsed arguments
+ * @param {Object} config - Loaded config file
+ * @returns {Object} Object with `dirBaseline`, `dirNew`, `dirDiff` and `debug`
+ */
+const directoryOptions = (args, config) => {
+  const OPTIONS = {
+    dirBaseline: pick(args.baseline, config.dirBaseline),
+    dirNew: pick(args.new, config.dirNew),
+    dirDiff: pick(args.diff, config.dirDiff),
+    debug: Boolean(pick(args.debug, config.debug, false)),
+  }
+
+  if (OPTIONS.dirBaseline === null) { throw new Error('Baseline directory is not set, use --baseline <dir>') }
+  if (OPTIONS.dirNew === null) { throw new Error('New images directory is not set, use --new <dir>') }
+
+  return OPTIONS
+}
+
+/**
+ * Returns comparison tolerance options for `compare` and `approve` commands,
+ * which approves only images failing with the same tolerance. Config file
+ * may also contain `ignoreRegions` and `imageOptions` with settings for
+ * individual images. `sizeMismatch` sets how images with different sizes are
+ * compared and `algorithm` which comparison algorithm is used.
+ *
+ * @param {Object} args - Parsed arguments
+ * @param {Object} config - Loaded config file
+ * @returns {Object} Tolerance options for `compareImages()`
+ */
+const toleranceOptions = (args, config) => {
+  const number = value => value === null ? null : Number(value)
+
+  return {
+    threshold: number(pick(args.threshold, config.threshold)),
+    includeAA: pick(args.includeAa, config.includeAA),
+    maxDiffPixels: number(pick(args.maxDiffPixels, config.maxDiffPixels)),
+    maxDiffPercentage: number(pick(args.maxDiffPercentage, config.maxDiffPercentage)),
+    minScore: number(pick(args.minScore, config.minScore)),
+    ignoreRegions: pick(config.ignoreRegions, []),
+    imageOptions: pick(config.imageOptions, {}),
+    sizeMismatch: pick(args.sizeMismatch, config.sizeMismatch, 'pad'),
+    algorithm: pick(args.algorithm, config.algorithm, 'pixel'),
+  }
+}
+
+/**
+ * `capture` command, generates screenshots from a config file
+ *
+ * @param {Object} args - Parsed arguments
+ * @param {AbortSignal} [signal] - Aborted on `SIGINT` or `SIGTERM`
+ * @returns {Promise} Resolves with exit code
+ */
+const capture = async (args, signal = null) => {
+  const config = loadConfig(pick(args.config, args._[1]))
+
+  if (!Array.isArray(config.imagesConfig) || config.imagesConfig.length === 0) {
+    throw new Error('Config file does not contain any image configs, use --config <file>')
+  }
+
+  let serial = pick(config.serial)
+
+  if (args.serial) { serial = true }
+  if (args.parallel) { serial = false }
+
+  if (typeof args.threads !== 'undefined' && !(Number(args.threads) > 0)) {
+    throw new Error(`Invalid number of threads: ${args.threads}`)
+  }
+
+  if (typeof args.concurrency !== 'undefined' && !(Number(args.concurrency) > 0)) {
+    throw new Error(`Invalid concurrency: ${args.concurrency}`)
+  }
+
+  let results
+
+  try {
+    results = await generateImages({
+      ...config,
+      serial,
+      path: pick(args.path, config.path),
+      threads: pick(args.threads, config.threads),
+      concurrency: pick(args.concurrency, config.concurrency),
+      debug: pick(args.debug, config.debug),
+      network: pick(args.network, config.network),
+      // HAR files are kept with baseline images, so replay finds them in CI
+      harDir: pick(args.harDir, config.harDir, args.baseline, config.dirBaseline),
+      storageState: pick(args.storageState, config.storageState),
+      signal,
+    })
+  } catch (error) {
+    // Only `rejectOnFailure` rejects with outcomes, other errors are invalid usage
+    if (!error || !Array.isArray(error.results)) { throw error }
+
+    results = error.results
+  }
+
+  const captured = results.filter(result => result.status === 'ok')
+
+  results
+    .filter(result => result.status !== 'ok')
+    .forEach(result => msg.error(`${chalk.red(result.status)} ${result.name}: ${result.error}`))
+
+  results
+    .filter(result => result.stability && !result.stability.stable)
+    .forEach(result => {
+      const reason = result.stability.error
+        ? `capture ${result.stability.captures + 1} failed, ${result.stability.error}`
+        : `captures differ in ${result.stability.diffCount} px`
+
+      msg(`${chalk.yellow('unstable')} ${result.name}: ${reason}`)
+    })
+
+  // Matrix configs expand into more screenshots than there are configs
+  msg(`Captured ${chalk.green(captured.length)} of ${results.length} screenshots`)
+
+  return captured.length < results.length ? EXIT.failed : EXIT.ok
+}
+
+/**
+ * Describes how a failed image differs from its baseline
+ *
+ * @param {Object} image - Failed image from `compareImages()` result
+ * @returns {String} Percentage of different pixels with score of non-pixel
+ * algorithms, or size change of images which were not compared
+ *
+ * @example
+ * differenceLabel({ algorithm: 'ssim', score: 0.9712, diffPercentage: 2.5 })
+ * // '2.50% (ssim 0.9712)'
+ */
+const differenceLabel = (image) => {
+  const size = () => `${SIZE_CHANGED} ${sizeLabel(image.baselineSize)} -> ${sizeLabel(image.newSize)}`
+
+  if (image.reason === SIZE_CHANGED) { return size() }
+
+  const score = image.algorithm !== 'pixel' && image.score !== null ? ` (${image.algorithm} ${image.score.toFixed(4)})` : ''
+
+  return `${image.diffPercentage.toFixed(2)}%${score}${image.sizeChanged ? `, ${size()}` : ''}`
+}
+
+/**
+ * `compare` command, compares baseline and new images
+ *
+ * @param {Object} args - Parsed arguments
+ * @param {AbortSignal} [signal] - Aborted on `SIGINT` or `SIGTERM`
+ * @returns {Promise} Resolves with exit code
+ */
+const compare = async (args, signal = null) => {
+  const config = loadConfig(args.config)
+  const OPTIONS = directoryOptions(args, config)
+  const concurrency = pick(args.concurrency, config.concurrency)
+  const workers = pick(args.workers, config.workers, false)
+
+  if (concurrency !== null && !(Number(concurrency) > 0)) {
+    throw new Error(`Invalid concurrency: ${concurrency}`)
+  }
+
+  if (typeof workers !== 'boolean' && !(Number(workers) >= 0)) {
+    throw new Error(`Invalid number of workers: ${workers}`)
+  }
+
+  const result = await compareImages({
+    ...OPTIONS,
+    ...toleranceOptions(args, config),
+    ...(concurrency !== null ? { concurrency: Number(concurrency) } : {}),
+    workers: typeof workers === 'boolean' ? workers : Number(workers),
+    layout: pick(args.layout, config.layout, 'horizontal'),
+    captions: pick(args.captions, config.captions, true),
+    flicker: pick(args.flicker, config.flicker, false),
+    recursive: pick(args.recursive, config.recursive, false),
+    include: pick(args.include, config.include),
+    exclude: pick(args.exclude, config.exclude),
+    mapping: pick(config.mapping),
+    signal,
+  })
+
+  msg(`Passed: ${chalk.green(result.passed.length)}`)
+  msg(`Failed: ${chalk.red(result.failed.length)}`)
+  result.failed.forEach(image => {
+    const pair = image.pairedBy === 'mapping' ? ` (baseline ${image.baselineImageName})` : ''
+
+    msg(`  ${chalk.red(image.testedImageName)}${pair} ${chalk.magenta(differenceLabel(image))} ${image.diffImagePath}`)
+  })
+  msg(`Missing in baseline: ${chalk.yellow(result.missing.length)}`)
+  result.missing.forEach(name => msg(`  ${chalk.yellow(name)}`))
+  msg(`Outdated in baseline: ${chalk.yellow(result.outdated.length)}`)
+  result.outdated.forEach(name => msg(`  ${chalk.yellow(name)}`))
+
+  if (result.cancelled.length > 0) {
+    msg(`Not compared, cancelled: ${chalk.yellow(result.cancelled.length)}`)
+  }
+
+  const report = pick(args.report, config.report)
+  const junit = pick(args.junit, config.junit)
+  const json = pick(args.json, config.json)
+
+  if (report !== null) {
+    msg(`HTML report: ${chalk.blue(await createHtmlReport({ result, path: report }))}`)
+  }
+
+  if (junit !== null) {
+    msg(`JUnit report: ${chalk.blue(await createJUnitReport({ ...OPTIONS, result, path: junit }))}`)
+  }
+
+  if (json !== null) {
+    msg(`JSON report: ${chalk.blue(await createJsonReport({ ...OPTIONS, result, path: json }))}`)
+  }
+
+  const problems = result.failed.length + result.missing.length + result.outdated.length + result.cancelled.length
+
+  return problems > 0 ? EXIT.failed : EXIT.ok
+}
+
+/**
+ * `approve` command, copies failed and missing new images into baseline
+ *
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise} Resolves with exit code
+ */
+const approve = async (args) => {
+  const config = loadConfig(args.config)
+  const images = args._.slice(1)
+  const result = await approveImages({
+    ...directoryOptions(args, config),
+    ...toleranceOptions(args, config),
+    images: images.length > 0 ? images : null,
+    addMissing: pick(args.missing, true),
+    removeOutdated: Boolean(args.removeOutdated),
+    recursive: pick(args.recursive, config.recursive, false),
+    include: pick(args.include, config.include),
+    exclude: pick(args.exclude, config.exclude),
+    mapping: pick(config.mapping),
+    dryRun: Boolean(args.dryRun),
+  })
+
+  result.log.forEach(entry => {
+    msg(`${args.dryRun ? chalk.yellow('[dry run] ') : ''}${entry.action} ${entry.path}`)
+  })
+
+  msg(
+    `Updated ${chalk.green(result.updated.length)}, ` +
+    `added ${chalk.green(result.added.length)} and ` +
+    `removed ${chalk.yellow(result.removed.length)} baseline images`
+  )
+
+  return EXIT.ok
+}
+
+const COMMANDS = {
+  capture,
+  compare,
+  approve,
+}
+
+/**
+ * Runs command line interface
+ *
+ * @param {Array} argv - Arguments without `node` and script path
+ * @returns {Promise} Resolves with process exit code
+ */
+const run = async (argv = []) => {
+  let args
+
+  try {
+    args = parseArgs(argv)
+  } catch (error) {
+    msg.error(chalk.red(error.message))
+
+    return EXIT.error
+  }
+
+  const command = args._[0]
+
+  if (args.help || !command) {
+    console.log(HELP)
+
+    return args.help ? EXIT.ok : EXIT.error
+  }
+
+  if (!(command in COMMANDS)) {
+    msg.error(chalk.red(`Unknown command "${command}"`))
+    console.log(HELP)
+
+    return EXIT.error
+  }
+
+  // First interrupt cancels the run and closes browsers, second one exits
+  const controller = new AbortController()
+  const cancel = () => {
+    msg.error(chalk.yellow('Cancelling, press Ctrl+C again to exit immediately'))
+    controller.abort()
+  }
+
+  process.once('SIGINT', cancel)
+  process.once('SIGTERM', cancel)
+
+  try {
+    return await COMMANDS[command](args, controller.signal)
+  } catch (error) {
+    msg.error(chalk.red(error.message || error))
+
+    return EXIT.error
+  } finally {
+    process.removeListener('SIGINT', cancel)
+    process.removeListener('SIGTERM', cancel)
+  }
+}
+
+module.exports = {
+  EXIT,
+  parseArgs,
+  differenceLabel,
+  run,
+}
@@ -0,0 +1,175 @@
+const chalk = require('chalk')
+const { log } = require('./helpers')
+const { guard } = require('./cancel')
+
+/**
+ * Supported action types. Each handler receives an initialized page and a
+ * single action step and returns a promise.
+ */
+const ACTIONS = {
+  click: (page, step) => page.click(step.selector, { button: step.button || 'left' }),
+  dblclick: (page, step) => page.dblclick(step.selector, { button: step.button || 'left' }),
+  hover: (page, step) => page.hover(step.selector),
+  fill: (page, step) => page.fill(step.selector, String(step.value)),
+  press: (page, step) => step.selector
+    ? page.press(step.selector, step.key)
+    : page.keyboard.press(step.key),
+  select: (page, step) => page.selectOption(step.selector, step.value),
+  check: (page, step) => step.checked === false
+    ? page.uncheck(step.selector)
+    : page.check(step.selector),
+  scroll: (page, step) => step.selector
+    ? page.locator(step.selector).first().scrollIntoViewIfNeeded()
+    : page.evaluate(({ x, y }) => window.scrollTo(x, y), { x: step.x || 0, y: step.y || 0 }),
+  focus: (page, step) => page.focus(step.selector),
+  waitForSelector: (page, step) => page.waitForSelector(step.selector, { state: step.state || 'visible' }),
+  wait: (page, step) => page.waitForTimeout(step.duration),
+}
+
+/**
+ * Action types which can't be performed without a `selector`
+ */
+const SELECTOR_REQUIRED = ['click', 'dblclick', 'hover', 'fill', 'select', 'check', 'focus', 'waitForSelector']
+
+/**
+ * Action types which can't be performed without a `value`, empty string is allowed
+ */
+const VALUE_REQUIRED = ['fill', 'select']
+
+/**
+ * Converts `clicks` array used by `screenshot()` into `click` actions
+ *
+ * @param {Array} clicks - Array of objects with `selector`, `button` and `waitAfter` keys
+ * @returns {Array} Array of `click` actions
+ */
+const clicksToActions = (clicks = []) => clicks.map(click => ({ type: 'click', ...click }))
+
+/**
+ * Checks if every action step has a known type and all required keys
+ *
+ * @param {Array} actions - Array of action steps
+ * @returns {Array} Returns the same array if it is valid, otherwise throws an error
+ */
+const validateActions = (actions = []) => {
+  if (!Array.isArray(actions)) { throw new Error('Actions must be an array of objects') }
+
+  actions.forEach((step, index) => {
+    if (!step || !Object.prototype.hasOwnProperty.call(ACTIONS, step.type)) {
+      throw new Error(`Unknown action type "${step && step.type}" at step ${index + 1}`)
+    }
+
+    if (SELECTOR_REQUIRED.includes(step.type) && !step.selector) {
+      throw new Error(`Action "${step.type}" at step ${index + 1} is missing a selector`)
+    }
+
+    if (VALUE_REQUIRED.includes(step.type) && (typeof step.value === 'undefined' || step.value === null)) {
+      throw new Error(`Action "${step.type}" at step ${index + 1} is missing a value`)
+    }
+
+    if (step.type === 'press' && !step.key) {
+      throw new Error(`Action "press" at step ${index + 1} is missing a key`)
+    }
+
+    if (step.type === 'wait' && !(step.duration >= 0)) {
+      throw new Error(`Action "wait" at step ${index + 1} is missing a duration`)
+    }
+  })
+
+  return actions
+}
+
+/**
+ * Returns debug message for a single action step
+ *
+ * @param {Object} step - Action step
+ * @returns {String} Message to display
+ */
+const actionMessage = (step) => {
+  const target = step.selector ? chalk.cyan(step.selector) : ''
+  const wait = 'waitAfter' in step
+    ? chalk.magenta(` [wait ${step.waitAfter}ms]`)
+    : ''
+
+  switch (step.type) {
+    case 'click':
+      return `${step.button || 'left'} click on ${target}${wait}`
+    case 'dblclick':
+      return `${step.button || 'left'} double click on ${target}${wait}`
+    case 'hover':
+      return `hover over ${target}${wait}`
+    case 'fill':
+      return `fill ${target} with ${chalk.yellow(`"${step.value}"`)}${wait}`
+    case 'press':
+      return `press ${chalk.yellow(step.key)}${step.selector ? ` on ${target}` : ''}${wait}`
+    case 'select':
+      return `select ${chalk.yellow(JSON.stringify(step.value))} in ${target}${wait}`
+    case 'check':
+      return `${step.checked === false ? 'uncheck' : 'check'} ${target}${wait}`
+    case 'scroll':
+      return `scroll to ${step.selector ? target : chalk.cyan(`${step.x || 0}, ${step.y || 0}`)}${wait}`
+    case 'focus':
+      return `focus ${target}${wait}`
+    case 'waitForSelector':
+      return `wait for ${target}${wait}`
+    case 'wait':
+      return `wait ${chalk.magenta(`${step.duration}ms`)}`
+    default:
+      return `${step.type} ${target}${wait}`
+  }
+}
+
+/**
+ * Performs action steps in order on an initialized page. Before each step we
+ * wait for the network to settle and for the step selector to appear.
+ *
+ * @param {Object} page - Initialized browser page
+ * @param {Array} actions - Array of action steps
+ * @param {String} actions[].type - `click`, `dblclick`, `hover`, `fill`, `press`,
+ * `select`, `check`, `scroll`, `focus`, `waitForSelector` or `wait`
+ * @param {String} [actions[].selector] - CSS selector of the element the step is performed on
+ * @param {String} [actions[].button] - Mouse button for `click` and `dblclick`: `left`, `middle` or `right`
+ * @param {String|Array} [actions[].value] - Value for `fill` and `select`
+ * @param {String} [actions[].key] - Key for `press`, e.g. `Enter` or `Control+A`
+ * @param {Boolean} [actions[].checked=true] - Set to `false` to uncheck with `check`
+ * @param {Number} [actions[].x] - Horizontal scroll position for `scroll` without a selector
+ * @param {Number} [actions[].y] - Vertical scroll position for `scroll` without a selector
+ * @param {String} [actions[].state] - Element state for `waitForSelector`, defaults to `visible`
+ * @param {Number} [actions[].timeout] - Milliseconds the step may take,
+ * including waiting for its selector. Defaults to `stepTimeout` of the screenshot
+ * @param {Number} [actions[].duration] - Milliseconds to wait for `wait`
+ * @param {Number} [actions[].waitAfter] - Number of milliseconds to wait after the step
+ * @param {Boolean} [debug] - Display log if debug is turned on
+ * @returns {Promise} Returns promise with page where actions were performed
+ */
+const performActions = async (page, actions = [], debug = false) => {
+  if (typeof page === 'undefined') {
+    throw new Error('Cannot perform actions if browser page is not initialized')
+  }
+
+  for (const [index, step] of validateActions(actions).entries()) {
+    await page.waitForLoadState('networkidle')
+
+    await guard(async () => {
+      if (step.selector && step.type !== 'waitForSelector') {
+        await page.waitForSelector(step.selector)
+      }
+
+      log(actionMessage(step), debug)
+
+      await ACTIONS[step.type](page, step)
+    }, { timeout: step.timeout, name: `Action "${step.type}" at step ${index + 1}` })
+
+    if ('waitAfter' in step && step.waitAfter > 0) {
+      await page.waitForLoadState('networkidle')
+      await page.waitForTimeout(step.waitAfter)
+    }
+  }
+
+  return page
+}
+
+module.exports = {
+  clicksToActions,
+  validateActions,
+  performActions,
+}
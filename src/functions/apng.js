@@ -0,0 +1,138 @@
+const { encodePng } = require('./pixel-diff')
+
+/**
+ * PNG file signature
+ */
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n
+
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+
+  return c >>> 0
+})
+
+/**
+ * Computes CRC32 checksum of a PNG chunk
+ *
+ * @param {Buffer} buffer - Chunk type and data
+ * @returns {Number} Checksum
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff
+
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  }
+
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Creates unsigned 32-bit big-endian number
+ *
+ * @param {Number} value
+ * @returns {Buffer}
+ */
+const uint32 = (value) => {
+  const buffer = Buffer.alloc(4)
+
+  buffer.writeUInt32BE(value)
+
+  return buffer
+}
+
+/**
+ * Creates PNG chunk
+ *
+ * @param {String} type - Four letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+const chunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+
+  return Buffer.concat([uint32(data.length), body, uint32(crc32(body))])
+}
+
+/**
+ * Splits PNG file into chunks
+ *
+ * @param {Buffer} png - PNG file
+ * @returns {Array} Array of `{ type, data }` objects
+ */
+const readChunks = (png) => {
+  const chunks = []
+  let offset = SIGNATURE.length
+
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset)
+
+    chunks.push({
+      type: png.toString('ascii', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length),
+    })
+    offset += length + 12
+  }
+
+  return chunks
+}
+
+/**
+ * Encodes frames as animated PNG which loops forever. Frames are encoded by
+ * `pngjs` and their image data is wrapped into APNG frame chunks.
+ *
+ * @param {Array} frames - Images with `width`, `height` and RGBA `data` keys, all of the same size
+ * @param {Number} [delay=500] - Milliseconds each frame is shown, up to 65535
+ * @returns {Buffer} APNG file
+ *
+ * @example
+ * fse.outputFile('./temp/diff/home.flicker.png', encodeApng([baseline, current]))
+ */
+const encodeApng = (frames, delay = 500) => {
+  const { width, height } = frames[0]
+  const parts = [SIGNATURE]
+  let sequence = 0
+
+  if (frames.some(frame => frame.width !== width || frame.height !== height)) {
+    throw new Error('All frames of animated PNG must have the same size')
+  }
+
+  frames.forEach((frame, index) => {
+    const chunks = readChunks(encodePng(frame))
+    const data = Buffer.concat(chunks.filter(item => item.type === 'IDAT').map(item => item.data))
+    const control = Buffer.alloc(26)
+
+    // Frame covers the whole canvas and replaces the previous one
+    control.writeUInt32BE(sequence++, 0)
+    control.writeUInt32BE(width, 4)
+    control.writeUInt32BE(height, 8)
+    control.writeUInt32BE(0, 12)
+    control.writeUInt32BE(0, 16)
+    control.writeUInt16BE(Math.min(65535, Math.max(0, Math.round(delay))), 20)
+    control.writeUInt16BE(1000, 22)
+    control.writeUInt8(0, 24)
+    control.writeUInt8(0, 25)
+
+    if (index === 0) {
+      parts.push(chunk('IHDR', chunks.find(item => item.type === 'IHDR').data))
+      parts.push(chunk('acTL', Buffer.concat([uint32(frames.length), uint32(0)])))
+      parts.push(chunk('fcTL', control))
+      parts.push(chunk('IDAT', data))
+    } else {
+      parts.push(chunk('fcTL', control))
+      parts.push(chunk('fdAT', Buffer.concat([uint32(sequence++), data])))
+    }
+  })
+
+  parts.push(chunk('IEND', Buffer.alloc(0)))
+
+  return Buffer.concat(parts)
+}
+
+module.exports = {
+  encodeApng,
+}
@@ -0,0 +1,159 @@
+const path = require('path')
+const fse = require('fs-extra')
+const chalk = require('chalk')
+const { log } = require('./helpers')
+
+/**
+ * Returns browser context options for authenticated captures
+ *
+ * @param {Object} options - Screenshot options
+ * @param {String|Object} [options.storageState] - Path to Playwright storage state file or storage state object
+ * @param {Object} [options.extraHTTPHeaders] - Headers sent with every request
+ * @param {Object} [options.httpCredentials] - Object with `username` and `password` for HTTP authentication
+ * @returns {Object} Options which are added to `browser.newContext()`
+ */
+const authContextOptions = (options) => {
+  const contextOptions = {}
+
+  if (options.storageState) {
+    if (typeof options.storageState === 'string' && !fse.pathExistsSync(options.storageState)) {
+      throw new Error(`Storage state file ${options.storageState} does not exist`)
+    }
+
+    contextOptions.storageState = options.storageState
+  }
+
+  if (options.extraHTTPHeaders) {
+    contextOptions.extraHTTPHeaders = options.extraHTTPHeaders
+  }
+
+  if (options.httpCredentials) {
+    if (!options.httpCredentials.username) {
+      throw new Error('HTTP credentials are missing `username`')
+    }
+
+    contextOptions.httpCredentials = options.httpCredentials
+  }
+
+  return contextOptions
+}
+
+/**
+ * Adds explicit cookies to a browser context
+ *
+ * @param {Object} context - Browser context
+ * @param {Object} options - Screenshot options
+ * @param {Array} [options.cookies] - Array of cookies, see Playwright `context.addCookies()`
+ * @returns {Promise} Resolves when cookies are added
+ */
+const addCookies = async (context, options) => {
+  if (Array.isArray(options.cookies) && options.cookies.length > 0) {
+    await context.addCookies(options.cookies)
+  }
+}
+
+/**
+ * Returns login function from a function or a path to a module which exports it
+ *
+ * @param {Function|String} script - Login function or path to module
+ * @returns {Function} Login function
+ */
+const loginScript = (script) => {
+  if (typeof script === 'function') { return script }
+
+  if (typeof script === 'string') {
+    const scriptPath = path.resolve(script)
+
+    if (!fse.pathExistsSync(scriptPath)) {
+      throw new Error(`Login script ${scriptPath} does not exist`)
+    }
+
+    const loaded = require(scriptPath)
+
+    if (typeof loaded === 'function') { return loaded }
+  }
+
+  throw new Error('Login script must be a function or a path to a module which exports a function')
+}
+
+/**
+ * Creates login session which is shared by all tasks of a `generateImages()`
+ * run. Login script runs once, when the first task asks for the session, and
+ * its storage state (cookies and local storage) is reused afterwards.
+ *
+ * @param {Object} options - Configuration object
+ * @param {Object} options.login - Login configuration
+ * @param {Function|String} options.login.script - Async function which
+ * receives `{ page, context }` and logs in, or a path to a module exporting it
+ * @param {String} [options.login.engine=firefox] - Browser engine used to log in
+ * @param {Object} [options.login.extraHTTPHeaders] - Headers used while logging in
+ * @param {Object} [options.login.httpCredentials] - HTTP credentials used while logging in
+ * @param {String} [options.login.storageStatePath] - Also save storage state to this file
+ * @param {Object} options.pool - Browser pool from `createBrowserPool()`
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Object} Session with `storageState()` function, which resolves with storage state object
+ */
+const createLoginSession = (options) => {
+  const OPTIONS = {
+    login: null,
+    pool: null,
+    debug: false,
+    ...options
+  }
+
+  let session = null
+
+  const login = async () => {
+    const LOGIN = {
+      engine: 'firefox',
+      storageStatePath: null,
+      ...OPTIONS.login
+    }
+    const script = loginScript(LOGIN.script)
+    const browser = await OPTIONS.pool.get(LOGIN.engine)
+    const context = await browser.newContext(authContextOptions(LOGIN))
+
+    log(`Logging in with ${chalk.green(LOGIN.engine)} browser`, OPTIONS.debug)
+
+    try {
+      const page = await context.newPage()
+
+      await script({ page, context })
+
+      const state = await context.storageState(
+        LOGIN.storageStatePath ? { path: LOGIN.storageStatePath } : {}
+      )
+
+      log('Login session saved', OPTIONS.debug)
+
+      return state
+    } finally {
+      await context.close().catch(() => {})
+    }
+  }
+
+  /**
+   * Resolves with storage state of the login session, logging in first if needed
+   *
+   * @returns {Promise} Storage state object
+   */
+  const storageState = () => {
+    if (OPTIONS.login === null) {
+      return Promise.reject(new Error('Screenshot asks for login session, but `login` is not configured'))
+    }
+
+    if (session === null) { session = login() }
+
+    return session
+  }
+
+  return {
+    storageState,
+  }
+}
+
+module.exports = {
+  authContextOptions,
+  addCookies,
+  createLoginSession,
+}
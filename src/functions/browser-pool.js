@@ -0,0 +1,119 @@
+const chalk = require('chalk')
+const { firefox, chromium, webkit } = require('playwright')
+const { log } = require('./helpers')
+
+/**
+ * Return one of 3 supported browser engines. Function is used internally in
+ * `screenshot()` function and by the browser pool.
+ *
+ * @param {String} engine - Accepts `chromium`, `webkit` or defaults to `firefox`
+ * @returns {Promise} Initialized browser
+ */
+const browserEngine = (engine) => {
+  return new Promise((resolve, reject) => {
+    switch (engine) {
+      case 'chromium':
+        resolve(chromium.launch())
+        break
+      case 'webkit':
+        resolve(webkit.launch())
+        break
+      case 'firefox':
+      default:
+        resolve(firefox.launch())
+        break
+    }
+  })
+}
+
+/**
+ * Creates a pool which keeps one launched browser per engine. Browsers are
+ * launched on first request and shared by every task afterwards, while each
+ * task is expected to open its own `BrowserContext`.
+ *
+ * @param {Object} [options] - Configuration object
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Object} Pool with `get(engine)` and `close()` functions
+ *
+ * @example
+ * const pool = createBrowserPool()
+ * const browser = await pool.get('chromium')
+ * const context = await browser.newContext()
+ * // ...
+ * await context.close()
+ * await pool.close()
+ */
+const createBrowserPool = (options) => {
+  const OPTIONS = {
+    debug: false,
+    ...options
+  }
+
+  const browsers = new Map() // engine => Promise<Browser>
+  let closed = false
+
+  /**
+   * Returns launched browser for requested engine, launching it if needed.
+   * Browser which got disconnected (e.g. crashed) is launched again.
+   *
+   * @param {String} engine - `firefox`, `chromium` or `webkit`
+   * @returns {Promise} Launched browser
+   */
+  const get = async (engine = 'firefox') => {
+    if (closed) { throw new Error('Browser pool is already closed') }
+
+    // Unknown engines fall back to `firefox` in `browserEngine()`
+    if (!['chromium', 'webkit'].includes(engine)) { engine = 'firefox' }
+
+    if (browsers.has(engine)) {
+      const browser = await browsers.get(engine)
+
+      if (browser.isConnected()) { return browser }
+    }
+
+    log(`Launching ${chalk.green(engine)} browser`, OPTIONS.debug)
+
+    const launching = browserEngine(engine)
+
+    browsers.set(engine, launching)
+
+    // Failed launch should not be cached, next request will try again
+    launching.catch(() => { browsers.delete(engine) })
+
+    return launching
+  }
+
+  /**
+   * Closes every launched browser. Errors are ignored, since the browser
+   * may already be closed or may have failed to launch.
+   *
+   * @returns {Promise} Resolves when all browsers are closed
+   */
+  const close = async () => {
+    closed = true
+
+    const launched = [...browsers.entries()]
+
+    browsers.clear()
+
+    await Promise.all(launched.map(([engine, launching]) => {
+      return launching
+        .then((browser) => {
+          log(`Closing ${chalk.green(engine)} browser`, OPTIONS.debug)
+
+          return browser.close()
+        })
+        .catch(() => {})
+    }))
+  }
+
+  return {
+    get,
+    close,
+  }
+}
+
+module.exports = {
+  browserEngine,
+  createBrowserPool,
+}
@@ -0,0 +1,127 @@
+const { errors } = require('playwright')
+
+/**
+ * Creates error used when work is stopped with an `AbortSignal`
+ *
+ * @param {String} [message] - Error message
+ * @returns {Error} Error with `AbortError` name
+ */
+const abortError = (message = 'Operation was cancelled') => {
+  const error = new Error(message)
+
+  error.name = 'AbortError'
+
+  return error
+}
+
+/**
+ * Checks if error was caused by an `AbortSignal`
+ *
+ * @param {Error} error - Any error
+ * @returns {Boolean}
+ */
+const isAbortError = error => Boolean(error) && error.name === 'AbortError'
+
+/**
+ * Checks if signal is aborted
+ *
+ * @param {AbortSignal} [signal] - Abort signal, may be `null`
+ * @returns {Boolean}
+ */
+const isAborted = signal => Boolean(signal) && signal.aborted
+
+/**
+ * Calls handler once the signal is aborted
+ *
+ * @param {AbortSignal} [signal] - Abort signal, may be `null`
+ * @param {Function} handler - Called on abort
+ * @returns {Function} Removes the handler
+ */
+const onAbort = (signal, handler) => {
+  if (!signal) { return () => {} }
+
+  if (signal.aborted) {
+    handler()
+
+    return () => {}
+  }
+
+  signal.addEventListener('abort', handler, { once: true })
+
+  return () => signal.removeEventListener('abort', handler)
+}
+
+/**
+ * Runs work which is stopped when the signal is aborted or the timeout
+ * expires. When stopped, `onStop` is called so open browsers and contexts can
+ * be closed, and the returned promise rejects with `AbortError` or Playwright's
+ * `TimeoutError`.
+ *
+ * @param {Function} work - Function which returns a promise
+ * @param {Object} options - Configuration object
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {Number} [options.timeout] - Timeout in milliseconds
+ * @param {String} [options.name] - Name of the work used in error messages
+ * @param {Function} [options.onStop] - Called once the work is stopped
+ * @returns {Promise} Result of the work
+ *
+ * @example
+ * guard(() => capture(), { signal, timeout: 30000, name: 'home.png', onStop: close })
+ */
+const guard = (work, options = {}) => {
+  const OPTIONS = {
+    signal: null,
+    timeout: null,
+    name: 'task',
+    onStop: () => {},
+    ...options
+  }
+
+  if (isAborted(OPTIONS.signal)) {
+    return Promise.reject(abortError(`${OPTIONS.name} was cancelled`))
+  }
+
+  let timer = null
+  let removeAbort = () => {}
+
+  const stopped = new Promise((resolve, reject) => {
+    const stop = (error) => {
+      Promise.resolve(OPTIONS.onStop(error)).catch(() => {})
+      reject(error)
+    }
+
+    removeAbort = onAbort(OPTIONS.signal, () => stop(abortError(`${OPTIONS.name} was cancelled`)))
+
+    if (OPTIONS.timeout > 0) {
+      timer = setTimeout(
+        () => stop(new errors.TimeoutError(`${OPTIONS.name} exceeded timeout of ${OPTIONS.timeout}ms`)),
+        OPTIONS.timeout
+      )
+    }
+  })
+
+  const cleanUp = () => {
+    clearTimeout(timer)
+    removeAbort()
+  }
+
+  // Rejection of the stopped work is handled by `Promise.race()`
+  return Promise.race([Promise.resolve().then(work), stopped])
+    .then((result) => {
+      cleanUp()
+
+      return result
+    }, (error) => {
+      cleanUp()
+
+      throw error
+    })
+}
+
+module.exports = {
+  abortError,
+  isAbortError,
+  isAborted,
+  onAbort,
+  guard,
+}
@@ -0,0 +1,284 @@
+const fs = require('fs')
+const fse = require('fs-extra')
+const path = require('path')
+const { readImage, encodePng, resizeCanvas } = require('./pixel-diff')
+const { encodeApng } = require('./apng')
+const { outlineRegions } = require('./regions')
+const { isFalsy } = require('./helpers')
+
+/**
+ * Loads `join-images` only when a diff image is composed. It depends on
+ * native `sharp`, which is not needed to capture or compare images
+ *
+ * @param {Array} images - Images passed to `joinImages()`
+ * @param {Object} [options] - Options passed to `joinImages()`
+ * @returns {Promise} Resolves with `sharp` instance of the joined image
+ */
+const joinImages = (images, options) => require('join-images').joinImages(images, options)
+
+/**
+ * Background of the composed diff image
+ */
+const BACKGROUND_COLOR = { r: 224, g: 224, b: 224, alpha: 1 }
+
+/**
+ * Asynchronously check if file has been generated
+ *
+ * @param {Object} options - Configuration object
+ * @param {String} options.path - Path to file, including file name
+ * @param {Number} [options.timeout=10000] - Milliseconds to wait for file to be generated
+ * @param {Number} [options.interval=50] - Interval to check for generated file
+ * @returns {Promise} Returns promise that resolves `true` if file was found, otherwise will throw an error
+ *
+ * @example
+ * fileExists({ path: './temp/screenshot.jpg' })
+ */
+const fileExists = (options) => {
+  const OPTIONS = {
+    path: null,
+    timeout: 10000,
+    interval: 50,
+    debug: null,
+    ...options
+  }
+
+  return new Promise((resolve, reject) => {
+    if (OPTIONS.path === null) { reject(new Error('File path is missing')) }
+
+    let timer = 0
+
+    const waitForFile = setInterval(() => {
+      timer += OPTIONS.interval
+
+      fs.stat(path.normalize(OPTIONS.path), function (err, stat) {
+        if (err === null) {
+          clearInterval(waitForFile)
+
+          resolve(true)
+        }
+      })
+
+      if (timer >= OPTIONS.timeout) {
+        clearInterval(waitForFile)
+
+        reject(new Error(`File ${OPTIONS.path} was not found for ${OPTIONS.timeout / 1000}s`))
+      }
+    })
+  })
+}
+
+/**
+ * Layouts of the composed diff image:
+ * - `horizontal` - Baseline, diff and new image side by side
+ * - `vertical` - Baseline, diff and new image below each other
+ * - `diff-only` - Only the diff image
+ * - `overlay` - Differences painted over the new image
+ */
+const LAYOUTS = ['horizontal', 'vertical', 'diff-only', 'overlay']
+
+/**
+ * Height of panel captions in pixels
+ */
+const CAPTION_HEIGHT = 28
+
+/**
+ * Returns path of the animated image which flips between baseline and new image
+ *
+ * @param {String} pathDist - Path of the composed diff image
+ * @returns {String} Path with `.flicker.png` suffix
+ */
+const flickerImagePath = pathDist => pathDist.replace(/\.png$/i, '') + '.flicker.png'
+
+/**
+ * Creates SVG image with panel caption, which is rendered by `sharp`
+ *
+ * @param {String} text - Caption
+ * @param {Number} width - Panel width
+ * @returns {Buffer} SVG image
+ */
+const captionImage = (text, width) => Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${CAPTION_HEIGHT}">` +
+  `<text x="4" y="20" font-family="Arial, Helvetica, sans-serif" font-size="16" font-weight="bold" fill="#1f2328">${text}</text>` +
+  '</svg>'
+)
+
+/**
+ * Paints differences from the diff image over an image. Diff image has gray
+ * background, so only its colored pixels are painted.
+ *
+ * @param {Object} image - Object with `width`, `height` and RGBA `data` keys
+ * @param {Object} diff - Diff image
+ * @returns {Object} New image of the diff image size
+ */
+const overlayDiff = (image, diff) => {
+  const canvas = resizeCanvas(image, diff.width, diff.height)
+  const data = Uint8Array.from(canvas.data)
+
+  for (let i = 0; i < data.length; i += 4) {
+    const [r, g, b] = diff.data.subarray(i, i + 3)
+
+    if (r !== g || g !== b) {
+      data[i] = Math.round(data[i] * 0.3 + r * 0.7)
+      data[i + 1] = Math.round(data[i + 1] * 0.3 + g * 0.7)
+      data[i + 2] = Math.round(data[i + 2] * 0.3 + b * 0.7)
+      data[i + 3] = 255
+    }
+  }
+
+  return { width: diff.width, height: diff.height, data }
+}
+
+/**
+ * Returns captioned panels of the composed image for a layout. Layouts which
+ * need a diff image fall back to baseline and new image when there is none.
+ *
+ * @param {Object} images - Decoded `baseline`, `diff` and `current` images, `diff` may be `null`
+ * @param {String} layout - One of `LAYOUTS`
+ * @returns {Array} Array of `{ caption, image }` objects
+ */
+const layoutPanels = (images, layout) => {
+  if (layout === 'diff-only' && images.diff) {
+    return [{ caption: 'Diff', image: images.diff }]
+  }
+
+  if (layout === 'overlay' && images.diff) {
+    return [{ caption: 'New with differences', image: overlayDiff(images.current, images.diff) }]
+  }
+
+  return [
+    { caption: 'Baseline', image: images.baseline },
+    { caption: 'Diff', image: images.diff },
+    { caption: 'New', image: images.current },
+  ].filter(panel => panel.image)
+}
+
+/**
+ * Create diff image from 3 image sources
+ *
+ * @param {Object} options - Configuration object
+ * @param {String} options.pathBaseline - Path to baseline file
+ * @param {String} options.pathNew - Path to new file
+ * @param {String} [options.pathDiff] - Path to an existing diff image. If not
+ * set, only baseline and new images are composed
+ * @param {String} options.pathDist - Path where a final diff image will be saved
+ * @param {Array} [options.regions] - Changed regions from `diffImages()`,
+ * which are outlined in every image
+ * @param {String} [options.layout=horizontal] - `horizontal`, `vertical`, `diff-only` or `overlay`
+ * @param {Boolean} [options.captions=true] - Label every panel
+ * @param {Number} [options.offset=10] - Space between panels in pixels
+ * @param {Number} [options.margin=10] - Space around panels in pixels
+ * @param {Boolean} [options.flicker=false] - Also save animated PNG which flips
+ * between baseline and new image, see `flickerImagePath()`
+ * @param {Number} [options.flickerDelay=500] - Milliseconds each image of the animation is shown
+ * @returns {Promise} Returns promise with notification where the diff image has been saved. Also saves image.
+ *
+ * @example
+ * createDiffImage({
+ *  pathBaseline: './temp/baseline/screenshot.jpg',
+ *  pathNew: './temp/new/screenshot.jpg',
+ *  pathDiff: './temp/new/diff/screenshot.png',
+ *  pathDist: './temp/new/diff/screenshot.diff.png',
+ *  layout: 'vertical',
+ *  flicker: true,
+ * })
+ *  .then((result) => { console.log(result) })
+ *  .catch((error) => { console.error(error) })
+ */
+const createDiffImage = (options = null) => {
+  const OPTIONS = {
+    pathBaseline: null,
+    pathNew: null,
+    pathDiff: null,
+    pathDist: null,
+    regions: [],
+    layout: 'horizontal',
+    captions: true,
+    offset: 10,
+    margin: 10,
+    flicker: false,
+    flickerDelay: 500,
+    ...options
+  }
+
+  return new Promise((resolve, reject) => {
+    // Error checks
+    if (options === null) {
+      reject(new Error('Cannot create diff image, missing configuration object `options`'))
+    }
+
+    if (isFalsy(OPTIONS.pathBaseline)) {
+      reject(new Error('Cannot create diff image, missing option `pathBaseline`'))
+    }
+
+    if (isFalsy(OPTIONS.pathNew)) {
+      reject(new Error('Cannot create diff image, missing option `pathNew`'))
+    }
+
+    if (isFalsy(OPTIONS.pathDist)) {
+      reject(new Error('Cannot create diff image, missing option `pathDist`'))
+    }
+
+    if (!LAYOUTS.includes(OPTIONS.layout)) {
+      reject(new Error(`Cannot create diff image, unknown layout "${OPTIONS.layout}", use ${LAYOUTS.join(', ')}`))
+    }
+
+    const files = [OPTIONS.pathBaseline, OPTIONS.pathDiff, OPTIONS.pathNew]
+    const read = file => isFalsy(file) ? Promise.resolve(null) : readImage(file)
+    const regions = OPTIONS.regions || []
+
+    // Panel is passed to `joinImages()` as PNG buffer, with caption above it.
+    // Regions are outlined in a copy, flicker frames use the untouched images
+    const panelSource = ({ caption, image }) => {
+      const png = encodePng(outlineRegions({ ...image, data: Buffer.from(image.data) }, regions))
+
+      if (!OPTIONS.captions) { return png }
+
+      return joinImages([captionImage(caption, image.width), png], { direction: 'vertical', color: BACKGROUND_COLOR })
+        .then(img => img.png().toBuffer())
+    }
+
+    // Animation frames have the same size, smaller image is padded
+    const saveFlicker = (images) => {
+      const width = Math.max(images.baseline.width, images.current.width)
+      const height = Math.max(images.baseline.height, images.current.height)
+
+      return fse.outputFile(flickerImagePath(OPTIONS.pathDist), encodeApng([
+        resizeCanvas(images.baseline, width, height),
+        resizeCanvas(images.current, width, height),
+      ], OPTIONS.flickerDelay))
+    }
+
+    // Check if files exist
+    Promise.all(files.filter(file => !isFalsy(file)).map(file => fileExists({ path: file })))
+      .then(() => Promise.all(files.map(read)))
+      .then(([baseline, diff, current]) => {
+        const images = { baseline, diff, current }
+
+        return Promise.all(layoutPanels(images, OPTIONS.layout).map(panelSource))
+          .then(sources => joinImages(sources, {
+            // Images of different sizes are aligned to the top, so the
+            // background shows where one of them ends
+            direction: OPTIONS.layout === 'vertical' ? 'vertical' : 'horizontal',
+            align: 'start',
+            color: BACKGROUND_COLOR,
+            offset: OPTIONS.offset, // Space between images
+            margin: OPTIONS.margin, // Margins on the side
+          }))
+          .then(img => img.toFile(OPTIONS.pathDist))
+          .then(() => OPTIONS.flicker ? saveFlicker(images) : null)
+      })
+      .then(() => {
+        resolve(`Diff image ${OPTIONS.pathDist} has been created`)
+      })
+      .catch(error => {
+        reject(new Error(`Cannot create diff image, reason: \n\t${error}`))
+      })
+  })
+}
+
+module.exports = {
+  LAYOUTS,
+  fileExists,
+  flickerImagePath,
+  createDiffImage,
+}
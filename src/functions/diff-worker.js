@@ -0,0 +1,26 @@
+/**
+ * Worker thread which runs CPU heavy parts of `compareImages()`. Started by
+ * `createWorkerPool()`, it only loads image modules, not Playwright.
+ */
+const { parentPort } = require('worker_threads')
+const { pixelDiff } = require('./pixel-diff')
+const { createDiffImage } = require('./diff-image')
+
+const JOBS = {
+  pixelDiff,
+  createDiffImage,
+}
+
+parentPort.on('message', ({ id, job, options }) => {
+  Promise.resolve()
+    .then(() => {
+      if (!JOBS[job]) { throw new Error(`Unknown worker job "${job}"`) }
+
+      return JOBS[job](options)
+    })
+    .then(result => parentPort.postMessage({ id, result }))
+    .catch(error => parentPort.postMessage({
+      id,
+      error: { name: error.name, message: error.message, stack: error.stack },
+    }))
+})
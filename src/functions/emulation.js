@@ -0,0 +1,135 @@
+const { devices } = require('playwright')
+
+/**
+ * Context options which can be set directly or come from a device descriptor
+ */
+const EMULATION_KEYS = [
+  'deviceScaleFactor',
+  'isMobile',
+  'hasTouch',
+  'userAgent',
+  'locale',
+  'timezoneId',
+  'colorScheme',
+  'reducedMotion',
+]
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference']
+const REDUCED_MOTION = ['reduce', 'no-preference']
+
+/**
+ * Checks if option is set
+ *
+ * @param {Any} value - Option value
+ * @returns {Boolean}
+ */
+const isSet = value => value !== null && typeof value !== 'undefined'
+
+/**
+ * Returns Playwright device descriptor
+ *
+ * @param {String} name - Device name, e.g. `iPhone 13` or `Pixel 7`
+ * @returns {Object|null} Device descriptor or `null` if name is not set
+ */
+const deviceDescriptor = (name) => {
+  if (!name) { return null }
+
+  if (!devices[name]) {
+    throw new Error(`Unknown device "${name}", use one of Playwright's device names, e.g. "iPhone 13" or "Pixel 7"`)
+  }
+
+  return devices[name]
+}
+
+/**
+ * Returns browser engine of a screenshot. If engine is not set, device's
+ * default browser is used.
+ *
+ * @param {Object} options - Screenshot options
+ * @returns {String} Browser engine
+ */
+const resolveEngine = (options) => {
+  if (options.engine) { return options.engine }
+
+  const device = deviceDescriptor(options.device)
+
+  return device ? device.defaultBrowserType : 'firefox'
+}
+
+/**
+ * Resolves conditions of a capture. Options set directly take precedence
+ * over the device descriptor.
+ *
+ * @param {Object} options - Screenshot options
+ * @param {String} [options.device] - Name of Playwright device descriptor
+ * @param {String} [options.engine] - Browser engine
+ * @param {Number} [options.width] - Viewport width
+ * @param {Number} [options.height] - Viewport height
+ * @param {Number} [options.deviceScaleFactor] - Device pixel ratio
+ * @param {Boolean} [options.isMobile] - Use mobile meta viewport, not supported in Firefox
+ * @param {Boolean} [options.hasTouch] - Enable touch events
+ * @param {String} [options.userAgent] - User agent
+ * @param {String} [options.locale] - Locale, e.g. `en-US`
+ * @param {String} [options.timezoneId] - Timezone, e.g. `Europe/Berlin`
+ * @param {String} [options.colorScheme] - `light`, `dark` or `no-preference`
+ * @param {String} [options.reducedMotion] - `reduce` or `no-preference`
+ * @returns {Object} Object with `device`, `engine`, `viewport` and emulation
+ * keys. Options which are not set are `null`
+ */
+const resolveEmulation = (options) => {
+  const device = deviceDescriptor(options.device)
+  const engine = resolveEngine(options)
+  const emulation = {
+    device: options.device || null,
+    engine,
+    viewport: {
+      width: Number(options.width || (device ? device.viewport.width : 800)),
+      height: Number(options.height || (device ? device.viewport.height : 600)),
+    },
+  }
+
+  EMULATION_KEYS.forEach(key => {
+    if (isSet(options[key])) {
+      emulation[key] = options[key]
+    } else {
+      emulation[key] = device && isSet(device[key]) ? device[key] : null
+    }
+  })
+
+  if (emulation.colorScheme !== null && !COLOR_SCHEMES.includes(emulation.colorScheme)) {
+    throw new Error(`Unknown color scheme "${emulation.colorScheme}", use ${COLOR_SCHEMES.join(', ')}`)
+  }
+
+  if (emulation.reducedMotion !== null && !REDUCED_MOTION.includes(emulation.reducedMotion)) {
+    throw new Error(`Unknown reduced motion "${emulation.reducedMotion}", use ${REDUCED_MOTION.join(', ')}`)
+  }
+
+  if (engine === 'firefox' && emulation.isMobile) {
+    throw new Error('Mobile emulation (`isMobile`) is not supported in Firefox, use chromium or webkit engine or set `isMobile: false`')
+  }
+
+  return emulation
+}
+
+/**
+ * Returns browser context options from resolved emulation
+ *
+ * @param {Object} emulation - Result of `resolveEmulation()`
+ * @returns {Object} Options which are added to `browser.newContext()`
+ */
+const emulationContextOptions = (emulation) => {
+  const contextOptions = { viewport: emulation.viewport }
+
+  EMULATION_KEYS.forEach(key => {
+    if (emulation[key] !== null) { contextOptions[key] = emulation[key] }
+  })
+
+  return contextOptions
+}
+
+module.exports = {
+  deviceDescriptor,
+  resolveEngine,
+  resolveEmulation,
+  emulationContextOptions,
+}
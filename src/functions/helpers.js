@@ -32,7 +32,16 @@ const isFalsy = (statement = true) => {
   return false
 }
 
+/**
+ * Formats image size as `WIDTHxHEIGHT`
+ *
+ * @param {Object} size - Object with `width` and `height` keys
+ * @returns {String}
+ */
+const sizeLabel = size => `${size.width}x${size.height}`
+
 module.exports = {
   log,
   isFalsy,
+  sizeLabel,
 }
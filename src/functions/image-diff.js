@@ -1,10 +1,21 @@
 const path = require('path')
 const fs = require('fs')
+const fse = require('fs-extra')
 const os = require('os')
-const { joinImages } = require('join-images')
-const { imgDiff } = require('img-diff-js')
+const chalk = require('chalk')
+const { pixelDiff, validateRegions, ALGORITHMS, SIZE_MISMATCH_MODES, SIZE_CHANGED } = require('./pixel-diff')
+const { LAYOUTS, fileExists, flickerImagePath, createDiffImage } = require('./diff-image')
 const { screenshot } = require('./screenshot')
-const { log, isFalsy } = require('./helpers')
+const { createBrowserPool } = require('./browser-pool')
+const { createLoginSession } = require('./auth')
+const { expandMatrix } = require('./matrix')
+const { runQueue } = require('./task-queue')
+const { createWorkerPool } = require('./worker-pool')
+const { pairImages, resolvePairOptions } = require('./image-pairs')
+const { resolveEngine } = require('./emulation')
+const { harFilePath } = require('./network')
+const { guard, abortError, isAbortError, isAborted, onAbort } = require('./cancel')
+const { log, isFalsy, sizeLabel } = require('./helpers')
 
 /**
  * Checks if file or directory exists
@@ -50,29 +61,63 @@ const readDir = (dir) => {
  * Returns image names for a specified directory. By default it only returns
  * file names with `.jpg`, `.jpeg` and `.png` extensions, but you can override
  * that with a second argument and return files with specific extension.
+ * In recursive mode, images from subdirectories are returned as paths relative
+ * to `dir`, with `/` separators.
  *
  * @param {String} dir - Directory where to look for images
  * @param {String} [extension=jpg, jpeg, png] - Single user defined extension OR all supported images
+ * @param {Object} [options] - Configuration object
+ * @param {Boolean} [options.recursive=false] - Read subdirectories
+ * @param {Array} [options.ignoreDirs] - Directories which are not read in recursive mode
  * @returns {Array} Returns an array of file names
  *
  * @example
  * getImageNames('temp/baseline', '.png')
  *   .then(dir => { console.log(dir) })
  *   .catch(error => { console.error(error) })
+ *
+ * getImageNames('temp/baseline', null, { recursive: true })
+ *   .then(dir => { console.log(dir) }) // ['codes/home.png', 'search/results.png']
  */
-const getImageNames = (dir, extension = null) => {
+const getImageNames = (dir, extension = null, options = {}) => {
+  const OPTIONS = {
+    recursive: false,
+    ignoreDirs: [],
+    ...options
+  }
+
+  const isImage = (file) => {
+    if (extension === null && file.match(/(.jpg)$|(.jpeg)$|(.png)$/gi)) {
+      return true
+    }
+
+    return Boolean(file.match(new RegExp('\\b' + extension + '$\\b')))
+  }
+
+  if (OPTIONS.recursive) {
+    const ignored = OPTIONS.ignoreDirs.map(ignoredDir => path.resolve(ignoredDir))
+
+    const walk = (relative) => fse.readdir(path.join(dir, relative), { withFileTypes: true })
+      .then(entries => Promise.all(entries.map(entry => {
+        const name = relative ? `${relative}/${entry.name}` : entry.name
+
+        if (entry.isDirectory()) {
+          return ignored.includes(path.resolve(dir, name)) ? [] : walk(name)
+        }
+
+        return isImage(entry.name) ? [name] : []
+      })))
+      .then(names => names.flat())
+
+    return readDir(dir)
+      .then(() => walk(''))
+      .then(names => names.sort())
+  }
+
   return new Promise((resolve, reject) => {
     readDir(dir)
       .then((files) => {
-        const images = files.filter(file => {
-          if (extension === null && file.match(/(.jpg)$|(.jpeg)$|(.png)$/gi)) {
-            return file
-          } else if (file.match(new RegExp('\\b' + extension + '$\\b'))) {
-            return file
-          }
-
-          return null
-        })
+        const images = files.filter(isImage)
 
         resolve(images.length > 0 ? images : [])
       })
@@ -81,62 +126,178 @@ const getImageNames = (dir, extension = null) => {
 }
 
 /**
- * Generates batch config based on available CPU cores and free RAM
+ * Rename file with `jpg` or `jpeg` extensions to `png` extension. Diff images
+ * are always saved in PNG format.
+ *
+ * @param {String} name
+ * @returns {String} Returns filename with `png` extension
+ */
+const pngExtension = name => name.replace(/(.jpg)$|(.jpeg)$/i, '.png')
+
+/**
+ * Returns directory where diff images are saved. If the path is not
+ * specified, diff images are saved into a `diff` subfolder under `new` images.
+ *
+ * @param {Object} options - Object with `dirNew` and `dirDiff` keys
+ * @returns {String} Normalized path
+ */
+const diffDirectory = (options) => {
+  return options.dirDiff !== null && typeof options.dirDiff !== 'undefined'
+    ? path.normalize(options.dirDiff)
+    : path.normalize(options.dirNew + path.sep + '/diff/')
+}
+
+/**
+ * Default comparison tolerance. Can be changed globally in `compareImages()`
+ * and for each image with `imageOptions`.
+ */
+const TOLERANCE = {
+  threshold: 0.1, // Pixel color threshold from 0 to 1, smaller is more sensitive
+  includeAA: false, // Count anti-aliased pixels as different
+  maxDiffPixels: null, // Allowed number of different pixels
+  maxDiffPercentage: null, // Allowed percentage of different pixels
+  minScore: null, // Lowest allowed similarity score from 0 to 1, default depends on algorithm
+}
+
+/**
+ * Returns tolerance for a single image. Later sources override earlier ones,
+ * unset values are ignored.
+ *
+ * @param {...Object} sources - Objects which may contain tolerance keys
+ * @returns {Object} Object with `threshold`, `includeAA`, `maxDiffPixels`, `maxDiffPercentage` and `minScore` keys
+ *
+ * @example
+ * resolveTolerance(compareOptions, compareOptions.imageOptions['home.png'])
+ */
+const resolveTolerance = (...sources) => {
+  const tolerance = { ...TOLERANCE }
+
+  sources.forEach(source => {
+    Object.keys(TOLERANCE).forEach(key => {
+      if (source && typeof source[key] !== 'undefined' && source[key] !== null) {
+        tolerance[key] = source[key]
+      }
+    })
+  })
+
+  if (!(tolerance.threshold >= 0 && tolerance.threshold <= 1)) {
+    throw new Error(`Threshold must be a number between 0 and 1, got ${tolerance.threshold}`)
+  }
+
+  if (tolerance.minScore !== null && !(tolerance.minScore >= 0 && tolerance.minScore <= 1)) {
+    throw new Error(`Minimal score must be a number between 0 and 1, got ${tolerance.minScore}`)
+  }
+
+  return tolerance
+}
+
+/**
+ * Checks if difference between two images is allowed. Images pass if they
+ * are the same, or if every set limit (`maxDiffPixels`, `maxDiffPercentage`,
+ * `minScore`) is respected.
+ *
+ * @param {Object} result - Object with `imagesAreSame`, `diffCount`, `diffPercentage` and `score` keys
+ * @param {Object} tolerance - Tolerance from `resolveTolerance()`
+ * @returns {Boolean}
+ */
+const isWithinTolerance = (result, tolerance) => {
+  if (result.imagesAreSame) { return true }
+
+  const limits = []
+
+  if (tolerance.maxDiffPixels !== null) {
+    limits.push(result.diffCount <= tolerance.maxDiffPixels)
+  }
+
+  if (tolerance.maxDiffPercentage !== null) {
+    limits.push(result.diffPercentage <= tolerance.maxDiffPercentage)
+  }
+
+  if (tolerance.minScore !== null) {
+    limits.push(result.score >= tolerance.minScore)
+  }
+
+  return limits.length > 0 && limits.every(Boolean)
+}
+
+/**
+ * Screenshot options which can be set for the whole `generateImages()` run.
+ * Values set in individual image configs take precedence.
+ */
+const SCREENSHOT_DEFAULTS = [
+  'disableAnimations',
+  'hideCaret',
+  'style',
+  'styleFile',
+  'waitForFonts',
+  'clock',
+  'randomSeed',
+  'network',
+  'harDir',
+  'routes',
+  'storageState',
+  'cookies',
+  'extraHTTPHeaders',
+  'httpCredentials',
+  'useLogin',
+  'locale',
+  'timezoneId',
+  'colorScheme',
+  'reducedMotion',
+  'stepTimeout',
+  'navigationTimeout',
+  'timeout',
+]
+
+/**
+ * Number of tasks whose memory is kept free for the OS and other programs
+ */
+const RESERVED_TASKS = 4
+
+/**
+ * Returns free RAM in megabytes
+ *
+ * @returns {Number}
+ */
+const freeMemory = () => Math.round(os.freemem() / Math.pow(1024, 2))
+
+/**
+ * Returns how many screenshots can run at the same time, based on available
+ * CPU threads, or on `concurrency` if it is set
  *
  * @param {Object} options - Configuration object for this function
- * @param {Array} options.config - Configuration array of tasks
- * @param {Number} [options.megabytesPerTask] - Megabytes per task, influences how many tasks can be performed at the same time
+ * @param {Number} [options.concurrency] - Max number of tasks running at the same time
  * @param {Number} [options.reservedThreads] - Number of CPU threads reserved for other OS tasks. This is just an approximate number
  * @param {Number} [options.threads] - Override CPU threads number
- * @param {Boolean} [options.debug] - Show or hide debug messages
- * @returns {Array} Returns batches of arrays
+ * @returns {Number} Max number of tasks running at the same time, at least one
  */
-const generateBatchConfig = (options) => {
+const queueConcurrency = (options) => {
   const OPTIONS = {
-    config: [], // Array of configs
-    megabytesPerTask: 250, // Max MB per task
+    concurrency: null,
     reservedThreads: 4, // Reserved for PC operations, these will not be used
     threads: null, // Override number for CPU threads
-    debug: false,
     ...options
   }
 
+  if (!isFalsy(OPTIONS.concurrency)) { return Math.max(1, Math.floor(Number(OPTIONS.concurrency))) }
+
   const useThreads = isFalsy(OPTIONS.threads)
     ? os.cpus().length - OPTIONS.reservedThreads
     : Number(OPTIONS.threads)
-  const reservedThreads = useThreads <= 1 ? 1 : useThreads // Minimum one core is reserved for low end PC's
-  const RAMFree = Math.round(os.freemem() / Math.pow(1024, 2)) // in MB
-  const safeRAMThreads = Math.floor(RAMFree / OPTIONS.megabytesPerTask) > 4
-    ? Math.floor(RAMFree / OPTIONS.megabytesPerTask) - 4
-    : 1 // Minimum of one task is reserved for low end PC's
-  const totalConfigs = OPTIONS.config.length
-  const safeThreads = Math.min(reservedThreads, safeRAMThreads) // We take minimum
-  const totalBatches = Math.ceil(totalConfigs / safeThreads)
-
-  // Create batches
-  const batches = []
-
-  // Start filling batch
-  let remainingConfigs = totalConfigs
 
-  for (let i = 0; i < totalBatches; i++) {
-    batches[i] = []
-
-    for (let b = 0; b < safeThreads; b++) {
-      const itemIndex = (i * safeThreads) + b
-
-      if (remainingConfigs > 0) {
-        batches[i][b] = OPTIONS.config[itemIndex]
-      }
-
-      remainingConfigs--
-    }
-  }
-
-  log(`Using up to ${useThreads} threads and up to ${safeThreads * OPTIONS.megabytesPerTask} MB of RAM`, OPTIONS.debug)
-  log(`Total of ${totalConfigs} configurations are split into ${totalBatches} batches`, OPTIONS.debug)
+  return useThreads <= 1 ? 1 : useThreads // Minimum one task for low end PC's
+}
 
-  return batches
+/**
+ * Checks if there is enough free RAM to start one more task. Memory is
+ * checked again before every task, so the queue slows down under memory
+ * pressure.
+ *
+ * @param {Number} megabytesPerTask - Megabytes per task
+ * @returns {Boolean}
+ */
+const hasMemoryForTask = (megabytesPerTask) => {
+  return freeMemory() >= (RESERVED_TASKS + 1) * megabytesPerTask
 }
 
 /**
@@ -151,8 +312,57 @@ const generateBatchConfig = (options) => {
  * @param {Number} [options.megabytesPerTask] - Megabytes per task, influences how many tasks can be performed at the same time
  * @param {Number} [options.reservedThreads] - Number of CPU threads reserved for other OS tasks. This is just an approximate number
  * @param {Number} [options.threads] - Override CPU threads number
+ * @param {Number} [options.concurrency] - Max number of screenshots running at
+ * the same time in parallel mode. Defaults to the number of CPU threads which
+ * are not reserved. A new screenshot only starts if there is enough free RAM
  * @param {Boolean} [options.debug] - Show or hide debug messages, overrides individual settings from `imagesConfig`
- * @returns {Promise} Returns array of results
+ * @param {Boolean} [options.disableAnimations] - Default for all screenshots, see `screenshot()`
+ * @param {Boolean} [options.hideCaret] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.style] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.styleFile] - Default for all screenshots, see `screenshot()`
+ * @param {Boolean} [options.waitForFonts] - Default for all screenshots, see `screenshot()`
+ * @param {String|Number|Date} [options.clock] - Default for all screenshots, see `screenshot()`
+ * @param {Number} [options.randomSeed] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.network] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.harDir] - Default for all screenshots, see `screenshot()`
+ * @param {Array} [options.routes] - Default for all screenshots, see `screenshot()`
+ * @param {String|Object} [options.storageState] - Default for all screenshots, see `screenshot()`
+ * @param {Array} [options.cookies] - Default for all screenshots, see `screenshot()`
+ * @param {Object} [options.extraHTTPHeaders] - Default for all screenshots, see `screenshot()`
+ * @param {Object} [options.httpCredentials] - Default for all screenshots, see `screenshot()`
+ * @param {Object} [options.login] - Login which runs once per run, see
+ * `createLoginSession()`. Its session is used by images with `useLogin: true`
+ * @param {Boolean} [options.useLogin] - Default for all screenshots, use login session
+ * @param {Boolean} [options.rejectOnFailure=false] - Reject if any screenshot
+ * failed. The error has a `results` key with outcomes of all screenshots
+ * @param {Number} [options.retries=0] - Number of retries after a failed capture
+ * @param {Number} [options.retryDelay=1000] - Milliseconds before the first
+ * retry, the delay doubles with every next retry
+ * @param {Boolean|Number} [options.stabilityCheck=false] - Capture every
+ * config this many times (`true` is 2) and compare captures with each other.
+ * Configs whose captures differ are reported as unstable
+ * @param {AbortSignal} [options.signal] - Cancels the run. Browsers are
+ * closed, screenshots in progress and not yet started are reported as `cancelled`
+ * @param {String} [options.locale] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.timezoneId] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.colorScheme] - Default for all screenshots, see `screenshot()`
+ * @param {String} [options.reducedMotion] - Default for all screenshots, see `screenshot()`
+ * @param {Number} [options.stepTimeout] - Default for all screenshots, see `screenshot()`
+ * @param {Number} [options.navigationTimeout] - Default for all screenshots, see `screenshot()`
+ * @param {Number} [options.timeout] - Default for all screenshots, see `screenshot()`
+ *
+ * Image configs may set `engine` to an array of engines, `viewports` to an
+ * array of `[width, height]` pairs and `variants` to an array of named
+ * overrides. Such configs are expanded into one screenshot per combination,
+ * named by `nameTemplate`, and their results contain a `matrix` key. See
+ * `expandConfig()`.
+ * @returns {Promise} Returns array with one outcome per screenshot, in order
+ * of configs. Every outcome has `name`, `path`, `outputPath`, `status` (`ok`,
+ * `failed`, `timed-out` or `cancelled`), `error`, `duration` in milliseconds,
+ * number of `attempts` and `stability` (`null` if not checked, otherwise object
+ * with `captures`, `stable`, `diffCount` and `error` of a failed capture). Successful outcomes also contain
+ * the `screenshot()` result. One browser per engine is launched for the whole
+ * run and every screenshot gets its own context
  */
 const generateImages = (options) => {
   const OPTIONS = {
@@ -162,58 +372,238 @@ const generateImages = (options) => {
     megabytesPerTask: 250, // Max MB per task
     reservedThreads: 4, // Reserved for PC operations, these will not be used
     threads: null, // Override number for CPU threads
+    concurrency: null, // Max screenshots at the same time, based on `threads` if not set
+    login: null, // { script: async ({ page }) => {}, engine: 'firefox' }
+    rejectOnFailure: false, // Reject if any screenshot failed
+    retries: 0, // Number of retries after a failed capture
+    retryDelay: 1000, // Delay before the first retry in ms, doubles with every retry
+    stabilityCheck: false, // Number of captures compared with each other, `true` is 2
+    signal: null, // AbortSignal which cancels the run
     debug: null,
     ...options
   }
 
+  // One browser per engine is shared by all tasks of this run
+  const pool = createBrowserPool({ debug: OPTIONS.debug })
+
+  // Login runs once, when the first task asks for it
+  const session = createLoginSession({ login: OPTIONS.login, pool, debug: OPTIONS.debug })
+
+  // Aborted run closes browsers right away, so in-flight screenshots stop
+  const removeAbort = onAbort(OPTIONS.signal, () => {
+    log('Run was cancelled, closing browsers', OPTIONS.debug)
+    pool.close()
+  })
+
+  // Run wide screenshot settings, used when image config doesn't set them
+  const screenshotDefaults = {}
+
+  SCREENSHOT_DEFAULTS.forEach(key => {
+    if (typeof OPTIONS[key] !== 'undefined' && OPTIONS[key] !== null) {
+      screenshotDefaults[key] = OPTIONS[key]
+    }
+  })
+
   // Internal functions
   // ---------------------------------------------------------------------------
+  // Create screenshot in a new context of a shared browser
+  const runTask = (task) => {
+    const config = { ...screenshotDefaults, ...task }
+    const storageState = config.useLogin
+      ? session.storageState()
+      : Promise.resolve(config.storageState)
+
+    return storageState
+      .then(state => pool.get(resolveEngine(config))
+        .then(browser => screenshot({ ...config, storageState: state, browser, signal: OPTIONS.signal })))
+      .then(result => config.matrix ? { ...result, matrix: config.matrix } : result)
+  }
+
+  // Number of captures per task, `1` when stability is not checked
+  const stabilityCaptures = OPTIONS.stabilityCheck === true ? 2 : Number(OPTIONS.stabilityCheck || 1)
+
+  // Wait before the next attempt, delay doubles with every retry
+  const backoff = (attempt) => new Promise(resolve => {
+    setTimeout(resolve, OPTIONS.retryDelay * Math.pow(2, attempt - 1))
+  })
+
+  // Capture the same config again and compare every capture with the first one.
+  // Failed capture doesn't fail the task, it is reported as unstable
+  const checkStability = async (task, result) => {
+    const tmp = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+    const config = { ...screenshotDefaults, ...task }
+
+    // Captures are saved into temp directory, but replay the HAR file of the
+    // config. Recorded traffic of the first capture is not overwritten
+    const harPath = (index) => config.network === 'replay'
+      ? harFilePath(config)
+      : path.join(tmp, `${index}.har`)
+
+    // Saved captures are compared as they are, others are PNG buffers
+    const captureFile = async (capture, index) => {
+      if (capture.path) { return path.join(capture.path, capture.name) }
+
+      const file = path.join(tmp, `${index}.png`)
+
+      await fse.outputFile(file, capture.binary)
+
+      return file
+    }
+
+    try {
+      const reference = await captureFile(result, 0)
+      let diffCount = 0
+
+      for (let i = 1; i < stabilityCaptures; i++) {
+        let capture
+
+        try {
+          capture = await runTask({
+            ...task,
+            path: task.path ? path.join(tmp, String(i)) : null,
+            harPath: harPath(i),
+          })
+        } catch (error) {
+          if (isAborted(OPTIONS.signal) || isAbortError(error)) { throw error }
+
+          log(`${chalk.yellow('unstable')} ${chalk.magenta(task.name)}: capture ${i + 1} failed, ${error.message}`, OPTIONS.debug)
+
+          return { captures: i, stable: false, diffCount, error: error.message }
+        }
+
+        const diff = await pixelDiff({
+          pathBaseline: reference,
+          pathNew: await captureFile(capture, i),
+          threshold: TOLERANCE.threshold,
+        })
+
+        diffCount = Math.max(diffCount, diff.diffCount)
+      }
+
+      if (diffCount > 0) {
+        log(`${chalk.yellow('unstable')} ${chalk.magenta(task.name)}: captures differ in ${diffCount} px`, OPTIONS.debug)
+      }
+
+      return { captures: stabilityCaptures, stable: diffCount === 0, diffCount, error: null }
+    } finally {
+      await fse.remove(tmp)
+    }
+  }
+
+  // Capture task, retry on errors and check stability if requested
+  const captureTask = async (task) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await runTask(task)
+        const stability = stabilityCaptures > 1 ? await checkStability(task, result) : null
+
+        return { ...result, attempts: attempt, stability }
+      } catch (error) {
+        if (attempt > OPTIONS.retries || isAborted(OPTIONS.signal) || isAbortError(error)) {
+          throw Object.assign(error, { attempts: attempt })
+        }
+
+        log(`Retrying ${chalk.magenta(task.name)} (${attempt} / ${OPTIONS.retries}): ${error.message}`, OPTIONS.debug)
+
+        await guard(() => backoff(attempt), { signal: OPTIONS.signal, name: `Retry of ${task.name}` })
+      }
+    }
+  }
+
+  // Run task and describe its outcome, failed tasks never reject
+  const runOutcome = (task) => {
+    const started = Date.now()
+    const outcome = {
+      name: task.name,
+      path: task.path || null,
+      outputPath: task.path && task.name ? path.normalize(task.path + path.sep + task.name) : null,
+      ...(task.matrix ? { matrix: task.matrix } : {}),
+    }
+
+    // Tasks which didn't start before the run was cancelled are skipped
+    const capture = isAborted(OPTIONS.signal)
+      ? Promise.reject(Object.assign(abortError(`Screenshot ${task.name} was cancelled`), { attempts: 0 }))
+      : captureTask(task)
+
+    return capture
+      .then(result => ({
+        ...outcome,
+        ...result,
+        status: 'ok',
+        error: null,
+        duration: Date.now() - started,
+      }))
+      .catch(error => {
+        let status = error && error.name === 'TimeoutError' ? 'timed-out' : 'failed'
+
+        if (isAbortError(error) || isAborted(OPTIONS.signal)) { status = 'cancelled' }
+
+        log(`${chalk.red(status)} ${chalk.magenta(task.name)}: ${error && error.message}`, OPTIONS.debug)
+
+        return {
+          ...outcome,
+          status,
+          error: error && error.message ? error.message : String(error),
+          duration: Date.now() - started,
+          attempts: error && typeof error.attempts === 'number' ? error.attempts : 1,
+          stability: null,
+        }
+      })
+  }
+
   // Generate screenshots in series
   const generateInSeries = async () => {
     log('Started to generate screenshots in SERIAL mode', OPTIONS.debug)
 
     const results = []
-    const errors = []
 
     for (let i = 0; i < OPTIONS.imagesConfig.length; i++) {
-      await screenshot(OPTIONS.imagesConfig[i])
-        .then((result) => results.push(result))
-        .catch((error) => errors.push(error))
+      results.push(await runOutcome(OPTIONS.imagesConfig[i]))
     }
 
-    return new Promise((resolve, reject) => {
-      if (errors.length === 0) { resolve(results) } else { reject(errors) }
-    })
+    return results
   }
 
-  // Generate screenshots in parallel
-  const generateInParallel = async () => {
+  // Generate screenshots in parallel, next task starts as soon as a slot is free
+  const generateInParallel = () => {
     log('Started to generate screenshots in PARALLEL mode', OPTIONS.debug)
 
-    const configBatches = generateBatchConfig({
-      config: OPTIONS.imagesConfig,
-      debug: OPTIONS.debug,
-      megabytesPerTask: OPTIONS.megabytesPerTask, // Max MB per task
-      reservedThreads: OPTIONS.reservedThreads, // Reserved for PC operations, these will not be used
-      threads: OPTIONS.threads,
+    const concurrency = queueConcurrency(OPTIONS)
+    const total = OPTIONS.imagesConfig.length
+
+    log(`Running up to ${concurrency} screenshots at the same time, ${OPTIONS.megabytesPerTask} MB per screenshot`, OPTIONS.debug)
+
+    // Outcomes never reject, so one failed task doesn't stop the queue
+    return runQueue({
+      items: OPTIONS.imagesConfig,
+      worker: runOutcome,
+      concurrency,
+      canStart: (running) => {
+        const canStart = hasMemoryForTask(OPTIONS.megabytesPerTask)
+
+        if (!canStart) {
+          log(`Low on free memory (${freeMemory()} MB), waiting with ${running} screenshots running`, OPTIONS.debug)
+        }
+
+        return canStart
+      },
+      onProgress: ({ done }) => log(`> Done ${done} / ${total}`, OPTIONS.debug),
     })
+  }
 
-    const results = []
+  // Reject only if asked to, with all outcomes attached to the error
+  const settle = (results) => {
+    const failed = results.filter(result => result.status !== 'ok')
 
-    for (let i = 0; i < configBatches.length; i++) {
-      log(`> Starting batch ${i + 1} / ${configBatches.length}`, OPTIONS.debug)
-      const batchOperations = []
+    if (OPTIONS.rejectOnFailure && failed.length > 0) {
+      const error = new Error(`${failed.length} of ${results.length} screenshots could not be created`)
 
-      configBatches[i].forEach(task => {
-        batchOperations.push(screenshot(task))
-      })
+      error.results = results
 
-      await Promise.all(batchOperations)
-        .then(result => results.push(result))
-        .catch(error => console.error(error))
+      throw error
     }
 
-    return results.flat(Infinity)
+    return results
   }
 
   // Main function
@@ -225,6 +615,16 @@ const generateImages = (options) => {
       reject(new Error('Cannot create screenshots without configuration array of objects'))
     }
 
+    if (!(Number.isInteger(Number(OPTIONS.retries)) && OPTIONS.retries >= 0)) {
+      reject(new Error(`Retries must be a positive integer or 0, got ${OPTIONS.retries}`))
+      return
+    }
+
+    if (!(Number.isInteger(stabilityCaptures) && stabilityCaptures >= 1)) {
+      reject(new Error(`Stability check must be \`true\` or a number of captures, got ${OPTIONS.stabilityCheck}`))
+      return
+    }
+
     // Overrides
     // ---------
     // Debug
@@ -245,11 +645,21 @@ const generateImages = (options) => {
       })
     }
 
+    // Matrix
+    // ------
+    // Configs with arrays of engines, viewports or variants become one task per cell
+    try {
+      OPTIONS.imagesConfig = expandMatrix(OPTIONS.imagesConfig)
+    } catch (error) {
+      reject(error)
+      return
+    }
+
     // Determine CPU capability
     // ------------------------
     const cpuCores = os.cpus().length
     const cpuSpeed = os.cpus()[0].speed
-    const freeRam = Math.round(os.freemem() / Math.pow(1024, 2))
+    const freeRam = freeMemory()
     let capability = 'low' // Default state is low
 
     log(
@@ -266,18 +676,18 @@ const generateImages = (options) => {
 
     // Start generating screenshots
     // -------------------------------------------------------------------------
-    if (
+    const generate = (
       (OPTIONS.serial === true) ||
       (OPTIONS.serial === null && capability === 'low')
-    ) {
-      generateInSeries()
-        .then((result) => { resolve(result) })
-        .catch((error) => { reject(error) })
-    } else {
-      generateInParallel()
-        .then((result) => { resolve(result) })
-        .catch((error) => { reject(error) })
-    }
+    )
+      ? generateInSeries
+      : generateInParallel
+
+    // Browsers are closed whether the run succeeded or failed
+    generate()
+      .then(settle)
+      .then((result) => { removeAbort(); pool.close().then(() => resolve(result)) })
+      .catch((error) => { removeAbort(); pool.close().then(() => reject(error)) })
   })
 }
 
@@ -287,16 +697,34 @@ const generateImages = (options) => {
  * @param {Object} options - Configuration object
  * @param {String} options.dirBaseline - Directory where baseline images are stored
  * @param {String} options.dirNew - Directory where new images are stored
+ * @param {Boolean} [options.recursive=false] - Also compare images in
+ * subdirectories, which are paired by their path relative to `dirBaseline` and `dirNew`
+ * @param {Array} [options.ignoreDirs] - Directories skipped in recursive mode,
+ * e.g. diff directory inside `dirNew`
+ * @param {String|Array} [options.include] - Glob patterns of images to compare,
+ * all images by default, see `pairImages()`
+ * @param {String|Array} [options.exclude] - Glob patterns of images to skip
+ * @param {Object|Function} [options.mapping] - Pairs differently named images,
+ * object where key is the new image and value is the baseline image, or
+ * function which returns baseline image name for a new image name
  * @returns {Promise} Returns an object with key `compare` designating which
  * files should be compared, and `missing` designating which baseline files are
- * missing, and `outdated` which are present in baseline, but not in new
+ * missing, and `outdated` which are present in baseline, but not in new. Key
+ * `pairs` lists compared images with `baselineImageName` and `pairedBy` rule,
+ * `name` or `mapping`
  */
 const compareImageDirectories = (options) => {
   const OPTIONS = {
     dirBaseline: null,
     dirNew: null,
+    recursive: false,
+    ignoreDirs: [],
+    include: null,
+    exclude: null,
+    mapping: null,
     ...options
   }
+  const readOptions = { recursive: OPTIONS.recursive, ignoreDirs: OPTIONS.ignoreDirs }
 
   return new Promise((resolve, reject) => {
     // Error checks
@@ -306,40 +734,9 @@ const compareImageDirectories = (options) => {
 
     // Find pairs to compare
     // We are ignoring missing images, but will output missing files in an array
-    getImageNames(OPTIONS.dirBaseline).then(filesBaseline => {
-      getImageNames(OPTIONS.dirNew).then(filesNew => {
-        const missing = []
-        const compare = []
-        const outdated = []
-
-        // Create a list of files to compare (present in new and in baseline)
-        filesNew.forEach(newFile => {
-          filesBaseline.forEach(baselineFile => {
-            if (newFile === baselineFile) {
-              compare.push(newFile)
-            }
-          })
-        })
-
-        // Create a list of missing files (present in new, but not in baseline)
-        filesNew.forEach(newFile => {
-          if (!compare.some(fileToCompare => fileToCompare === newFile)) {
-            missing.push(newFile)
-          }
-        })
-
-        // Create a list of outdated files (present in baseline folder, but not in new)
-        filesBaseline.forEach(baselineFile => {
-          if (!filesNew.some(newFile => newFile === baselineFile)) {
-            outdated.push(baselineFile)
-          }
-        })
-
-        resolve({
-          compare,
-          missing,
-          outdated,
-        })
+    getImageNames(OPTIONS.dirBaseline, null, readOptions).then(filesBaseline => {
+      getImageNames(OPTIONS.dirNew, null, readOptions).then(filesNew => {
+        resolve(pairImages(filesBaseline, filesNew, OPTIONS))
       })
         .catch(error => { reject(error) })
     })
@@ -347,52 +744,6 @@ const compareImageDirectories = (options) => {
   })
 }
 
-/**
- * Asynchronously check if file has been generated
- *
- * @param {Object} options - Configuration object
- * @param {String} options.path - Path to file, including file name
- * @param {Number} [options.timeout=10000] - Milliseconds to wait for file to be generated
- * @param {Number} [options.interval=50] - Interval to check for generated file
- * @returns {Promise} Returns promise that resolves `true` if file was found, otherwise will throw an error
- *
- * @example
- * fileExists({ path: './temp/screenshot.jpg' })
- */
-const fileExists = (options) => {
-  const OPTIONS = {
-    path: null,
-    timeout: 10000,
-    interval: 50,
-    debug: null,
-    ...options
-  }
-
-  return new Promise((resolve, reject) => {
-    if (OPTIONS.path === null) { reject(new Error('File path is missing')) }
-
-    let timer = 0
-
-    const waitForFile = setInterval(() => {
-      timer += OPTIONS.interval
-
-      fs.stat(path.normalize(OPTIONS.path), function (err, stat) {
-        if (err === null) {
-          clearInterval(waitForFile)
-
-          resolve(true)
-        }
-      })
-
-      if (timer >= OPTIONS.timeout) {
-        clearInterval(waitForFile)
-
-        reject(new Error(`File ${OPTIONS.path} was not found for ${OPTIONS.timeout / 1000}s`))
-      }
-    })
-  })
-}
-
 /**
  * Compare two images and checks if diff image has been generated
  *
@@ -400,9 +751,36 @@ const fileExists = (options) => {
  * @param {String} options.dirBaseline - Directory where baseline files are located
  * @param {String} options.dirNew - Directory where new files are located
  * @param {String} options.dirDiff - Directory where diff file will be saved
+ * @param {String} options.imageName - Name of the new image
+ * @param {String} [options.baselineImageName] - Name of the baseline image,
+ * when it differs from `imageName`
  * @param {String} options.diffImageName - Diff image name
+ * @param {Number} [options.threshold=0.1] - Pixel color threshold from 0 to 1, smaller is more sensitive
+ * @param {Boolean} [options.includeAA=false] - Count anti-aliased pixels as different
+ * @param {Number} [options.maxDiffPixels] - Allowed number of different pixels
+ * @param {Number} [options.maxDiffPercentage] - Allowed percentage of different pixels
+ * @param {Array} [options.ignoreRegions] - Array of `{ x, y, width, height }`
+ * objects. Pixels inside these regions are not compared
+ * @param {String} [options.sizeMismatch=pad] - How images with different sizes
+ * are compared: `pad` the smaller image, compare only the `overlap` area, or
+ * `fail` them with `size changed` reason
+ * @param {String} [options.algorithm=pixel] - Comparison algorithm, `pixel`,
+ * `ssim` or `perceptual`
+ * @param {Number} [options.minScore] - Lowest allowed similarity score from 0
+ * to 1. Defaults to `0.99` for `ssim` and `0.999` for `perceptual` when no
+ * other limit is set
+ * @param {Number} [options.maxRegions=50] - Max number of changed regions in
+ * the result, largest regions are kept
+ * @param {String} [options.layout=horizontal] - Layout of the diff image,
+ * `horizontal`, `vertical`, `diff-only` or `overlay`
+ * @param {Boolean} [options.captions=true] - Label every part of the diff image
+ * @param {Boolean} [options.flicker=false] - Also save animated PNG which flips
+ * between baseline and new image, its path is in `flickerImagePath`
+ * @param {AbortSignal} [options.signal] - Skips creating diff image if cancelled
+ * @param {Object} [options.workers] - Worker pool from `createWorkerPool()`.
+ * If set, images are compared and composed in worker threads
  * @param {Boolean} [options.debug] - Show or hide debug messages
- * @returns {Promise} Returns object with these keys: `testedImageName`, `dirBaseline`, `dirNew`, `diffImagePath`, `width`, `height`, `imagesAreSame`, `diffCount`, `diffPercentage`
+ * @returns {Promise} Returns object with these keys: `testedImageName`, `baselineImageName`, `dirBaseline`, `dirNew`, `diffImagePath`, `flickerImagePath`, `width`, `height`, `imagesAreSame`, `diffCount`, `ignoredPixels`, `diffPercentage`, `withinTolerance`, `tolerance`, `ignoreRegions`, `algorithm`, `score`, `regions`, `regionCount`, `baselineSize`, `newSize`, `sizeChanged`, `sizeMismatch`, `reason`
  */
 const diffImages = (options) => {
   const OPTIONS = {
@@ -410,11 +788,27 @@ const diffImages = (options) => {
     dirNew: null,
     dirDiff: null,
     imageName: null,
+    baselineImageName: null,
     diffImageName: null, // Diff files are always in PNG format
+    ...TOLERANCE,
+    ignoreRegions: [],
+    sizeMismatch: 'pad',
+    algorithm: 'pixel',
+    maxRegions: 50,
+    layout: 'horizontal',
+    captions: true,
+    flicker: false,
+    signal: null,
+    workers: null,
     debug: null,
     ...options
   }
 
+  // CPU heavy jobs run in a worker thread when a worker pool is given
+  const runJob = (job, jobOptions) => OPTIONS.workers
+    ? OPTIONS.workers.run(job, jobOptions)
+    : { pixelDiff, createDiffImage }[job](jobOptions)
+
   /**
    * Adds `temp` suffix to file name
    *
@@ -430,50 +824,118 @@ const diffImages = (options) => {
   }
 
   return new Promise((resolve, reject) => {
+    if (!ALGORITHMS[OPTIONS.algorithm]) {
+      reject(new Error(`Unknown comparison algorithm "${OPTIONS.algorithm}", use ${Object.keys(ALGORITHMS).join(', ')}`))
+
+      return
+    }
+
+    const tolerance = resolveTolerance(OPTIONS)
+
+    // Default score of the algorithm applies only when no limit is set, so
+    // `maxDiffPixels` or `maxDiffPercentage` alone can loosen any algorithm
+    if (tolerance.minScore === null && tolerance.maxDiffPixels === null && tolerance.maxDiffPercentage === null) {
+      tolerance.minScore = ALGORITHMS[OPTIONS.algorithm].minScore
+    }
+
+    const pathBaseline = path.normalize(OPTIONS.dirBaseline + path.sep + (OPTIONS.baselineImageName || OPTIONS.imageName))
+    const pathTempDiff = path.normalize(OPTIONS.dirDiff + path.sep + tempFileName(OPTIONS.imageName))
+    const pathDist = path.normalize(OPTIONS.dirDiff + path.sep + OPTIONS.diffImageName)
+
     // Compare two images
-    imgDiff({
-      actualFilename: path.normalize(OPTIONS.dirBaseline + path.sep + OPTIONS.imageName),
-      expectedFilename: path.normalize(OPTIONS.dirNew + path.sep + OPTIONS.imageName),
-      diffFilename: path.normalize(OPTIONS.dirDiff + path.sep + tempFileName(OPTIONS.imageName)),
-      options: {
-        threshold: 0.1,
-        includeAA: false,
-      }
+    runJob('pixelDiff', {
+      pathBaseline,
+      pathNew: path.normalize(OPTIONS.dirNew + path.sep + OPTIONS.imageName),
+      pathDiff: pathTempDiff,
+      threshold: tolerance.threshold,
+      includeAA: tolerance.includeAA,
+      ignoreRegions: OPTIONS.ignoreRegions,
+      sizeMismatch: OPTIONS.sizeMismatch,
+      algorithm: OPTIONS.algorithm,
+      minScore: tolerance.minScore,
+      maxRegions: OPTIONS.maxRegions,
     })
       .then((imgDiffResult) => {
+        // Composing diff image is skipped once the comparison was cancelled
+        if (isAborted(OPTIONS.signal)) {
+          fse.remove(pathTempDiff)
+            .then(() => resolve({ testedImage: OPTIONS.imageName, cancelled: true }))
+            .catch(error => { reject(error) })
+
+          return
+        }
+
+        // Images which failed on size were not compared, so there is no diff
+        const sizeFailed = imgDiffResult.reason === SIZE_CHANGED
+
+        if (sizeFailed) {
+          imgDiffResult.diffPercentage = null
+          imgDiffResult.withinTolerance = false
+          log(`${chalk.red(SIZE_CHANGED)} ${chalk.magenta(OPTIONS.imageName)}: ${sizeLabel(imgDiffResult.baselineSize)} -> ${sizeLabel(imgDiffResult.newSize)}`, OPTIONS.debug)
+        } else {
+          // Ignored pixels are left out of the percentage
+          const comparedPixels = imgDiffResult.width * imgDiffResult.height - imgDiffResult.ignoredPixels
+
+          imgDiffResult.diffPercentage = comparedPixels > 0
+            ? (100 / comparedPixels) * imgDiffResult.diffCount
+            : 0
+          // Padded images of different sizes never pass, whatever the tolerance
+          imgDiffResult.withinTolerance = !(imgDiffResult.sizeChanged && OPTIONS.sizeMismatch === 'pad') &&
+            isWithinTolerance(imgDiffResult, tolerance)
+        }
+
+        imgDiffResult.tolerance = tolerance
+        imgDiffResult.ignoreRegions = OPTIONS.ignoreRegions
+        imgDiffResult.sizeMismatch = OPTIONS.sizeMismatch
+
         // Wait for image to be generated before resolving.
-        // Problem with this plugin is that it will generate images always, so we
-        // need to delete them if both images used for comparison are same
-        fileExists({ path: path.normalize(OPTIONS.dirDiff + path.sep + tempFileName(OPTIONS.imageName)) })
+        // Diff image is always generated, so we need to delete it if images
+        // used for comparison are within tolerance. Without diff image, diff
+        // directory may not exist yet
+        const diffGenerated = sizeFailed
+          ? fse.ensureDir(path.dirname(pathDist))
+          : fileExists({ path: pathTempDiff })
+
+        diffGenerated
           .then(() => {
-            if (imgDiffResult.imagesAreSame) {
+            if (imgDiffResult.withinTolerance) {
               // Delete temp diff image
-              fs.unlinkSync(path.normalize(OPTIONS.dirDiff + path.sep + tempFileName(OPTIONS.imageName)))
+              fs.unlinkSync(pathTempDiff)
 
               resolve({
                 testedImage: OPTIONS.imageName,
+                baselineImageName: OPTIONS.baselineImageName || OPTIONS.imageName,
                 dirBaseline: path.normalize(OPTIONS.dirBaseline),
                 dirNew: path.normalize(OPTIONS.dirNew),
                 diffImagePath: null,
+                flickerImagePath: null,
                 ...imgDiffResult,
               })
             } else {
-              // Create composed image
-              createDiffImage({
-                pathBaseline: path.normalize(OPTIONS.dirBaseline + path.sep + OPTIONS.imageName),
+              // Create composed image, without diff when sizes didn't match
+              runJob('createDiffImage', {
+                pathBaseline,
                 pathNew: path.normalize(OPTIONS.dirNew + path.sep + OPTIONS.imageName),
-                pathDiff: path.normalize(OPTIONS.dirDiff + path.sep + tempFileName(OPTIONS.imageName)),
-                pathDist: path.normalize(OPTIONS.dirDiff + path.sep + OPTIONS.diffImageName)
+                pathDiff: sizeFailed ? null : pathTempDiff,
+                pathDist: pathDist,
+                regions: imgDiffResult.regions || [],
+                layout: OPTIONS.layout,
+                captions: OPTIONS.captions,
+                flicker: OPTIONS.flicker,
               })
                 .then(() => {
                   // Delete temp diff image
-                  fs.unlinkSync(path.normalize(OPTIONS.dirDiff + path.sep + tempFileName(OPTIONS.imageName)))
+                  if (!sizeFailed) { fs.unlinkSync(pathTempDiff) }
 
                   resolve({
                     testedImageName: OPTIONS.imageName,
+                    baselineImageName: OPTIONS.baselineImageName || OPTIONS.imageName,
                     dirBaseline: path.normalize(OPTIONS.dirBaseline),
                     dirNew: path.normalize(OPTIONS.dirNew),
-                    diffImagePath: path.normalize(OPTIONS.dirDiff + path.sep + OPTIONS.diffImageName),
+                    diffImagePath: pathDist,
+                    flickerImagePath: OPTIONS.flicker
+                      ? flickerImagePath(pathDist)
+                      : null,
                     ...imgDiffResult,
                   })
                 })
@@ -493,29 +955,130 @@ const diffImages = (options) => {
  * @param {String} options.dirBaseline - Directory where baseline images are stored
  * @param {String} options.dirNew - Directory where new images are stored
  * @param {String} [options.dirDiff=./new/diff/] - Directory where generated diffs are stored
+ * @param {Number} [options.threshold=0.1] - Pixel color threshold from 0 to 1, smaller is more sensitive
+ * @param {Boolean} [options.includeAA=false] - Count anti-aliased pixels as different
+ * @param {Number} [options.maxDiffPixels] - Allowed number of different pixels
+ * @param {Number} [options.maxDiffPercentage] - Allowed percentage of different pixels
+ * @param {Array} [options.ignoreRegions] - Array of `{ x, y, width, height }`
+ * objects ignored in every image
+ * @param {Object} [options.imageOptions] - Settings for individual images, where
+ * key is image name and value is an object which overrides global settings.
+ * Its `ignoreRegions` are added to global ones
+ * @param {String} [options.sizeMismatch=pad] - How images with different sizes
+ * are compared, `pad`, `overlap` or `fail`, see `diffImages()`
+ * @param {String} [options.algorithm=pixel] - Comparison algorithm, `pixel`,
+ * `ssim` or `perceptual`
+ * @param {Number} [options.minScore] - Lowest allowed similarity score from 0
+ * to 1, see `diffImages()`
+ * @param {Number} [options.maxRegions=50] - Max number of changed regions
+ * reported for each image
+ * @param {String} [options.layout=horizontal] - Layout of diff images,
+ * `horizontal`, `vertical`, `diff-only` or `overlay`
+ * @param {Boolean} [options.captions=true] - Label every part of diff images
+ * @param {Boolean} [options.flicker=false] - Also save animated PNGs which flip
+ * between baseline and new image
+ * @param {Boolean} [options.recursive=false] - Also compare images in
+ * subdirectories. Images are paired and reported by their relative path, e.g.
+ * `codes/home.png`, and diff images keep the same path inside diff directory
+ * @param {Array} [options.ignoreDirs] - Directories which are not searched in
+ * recursive mode, diff directory is always skipped
+ * @param {String|Array} [options.include] - Glob patterns of images to
+ * compare, e.g. `codes/**` or `*.png`, all images by default
+ * @param {String|Array} [options.exclude] - Glob patterns of images to skip
+ * @param {Object|Function} [options.mapping] - Pairs differently named images,
+ * object where key is the new image and value is the baseline image, or
+ * function which receives new image name and returns baseline image name.
+ * Compared images report `baselineImageName`, `pairedBy` rule which paired
+ * them, `name` or `mapping`, and `includePattern` which selected them
+ * @param {AbortSignal} [options.signal] - Cancels the comparison. Images which
+ * were not compared yet are listed in `cancelled` of the result
+ * @param {Number} [options.concurrency] - Max number of images compared at the
+ * same time, defaults to number of CPU cores
+ * @param {Boolean|Number} [options.workers=false] - Compare images and compose
+ * diff images in worker threads. `true` starts one worker less than there are
+ * CPU cores, a number sets the number of workers
+ * @param {Function} [options.onProgress] - Called with `{ done, total, image }`
+ * after every compared image, where `image` is its result
  * @param {Boolean} [options.debug] - Show or hide debug messages
  * @returns {Promise} Returns Array of objects for each compared image and generates diff images
+ *
+ * @example
+ * compareImages({
+ *   dirBaseline: './temp/baseline/',
+ *   dirNew: './temp/new/',
+ *   maxDiffPixels: 10,
+ *   concurrency: 8,
+ *   workers: true,
+ *   imageOptions: {
+ *     'home.png': {
+ *       maxDiffPercentage: 0.5,
+ *       ignoreRegions: [{ x: 0, y: 0, width: 800, height: 60 }],
+ *     },
+ *   },
+ * })
  */
 const compareImages = (options) => {
   const OPTIONS = {
     dirBaseline: null,
     dirNew: null,
     dirDiff: null,
+    ...TOLERANCE,
+    ignoreRegions: [],
+    imageOptions: {},
+    sizeMismatch: 'pad',
+    algorithm: 'pixel',
+    maxRegions: 50,
+    layout: 'horizontal',
+    captions: true,
+    flicker: false,
+    recursive: false,
+    ignoreDirs: [],
+    include: null,
+    exclude: null,
+    mapping: null,
+    signal: null,
+    concurrency: os.cpus().length,
+    workers: false,
+    onProgress: null,
     debug: null,
     ...options
   }
 
-  /**
-    * Rename file with `jpg` or `jpeg` extensions to `png` extension
-    * @param {String} name
-    * @returns {String} Returns filename with `png` extension
-    */
-  const pngExtension = name => name.replace(/(.jpg)$|(.jpeg)$/i, '.png')
-
   return new Promise((resolve, reject) => {
+    if (!SIZE_MISMATCH_MODES.includes(OPTIONS.sizeMismatch)) {
+      reject(new Error(`Unknown size mismatch mode "${OPTIONS.sizeMismatch}", use ${SIZE_MISMATCH_MODES.join(', ')}`))
+
+      return
+    }
+
+    if (!ALGORITHMS[OPTIONS.algorithm]) {
+      reject(new Error(`Unknown comparison algorithm "${OPTIONS.algorithm}", use ${Object.keys(ALGORITHMS).join(', ')}`))
+
+      return
+    }
+
+    if (!LAYOUTS.includes(OPTIONS.layout)) {
+      reject(new Error(`Unknown diff image layout "${OPTIONS.layout}", use ${LAYOUTS.join(', ')}`))
+
+      return
+    }
+
+    try {
+      resolvePairOptions(OPTIONS)
+    } catch (error) {
+      reject(error)
+
+      return
+    }
+
     compareImageDirectories({
       dirBaseline: OPTIONS.dirBaseline,
       dirNew: OPTIONS.dirNew,
+      recursive: OPTIONS.recursive,
+      ignoreDirs: [diffDirectory(OPTIONS), ...(OPTIONS.ignoreDirs || [])],
+      include: OPTIONS.include,
+      exclude: OPTIONS.exclude,
+      mapping: OPTIONS.mapping,
     })
       .then((files) => {
         if (files.compare.length === 0) {
@@ -523,47 +1086,98 @@ const compareImages = (options) => {
             passed: [],
             failed: [],
             missing: files.missing,
-            outdated: files.outdated
+            outdated: files.outdated,
+            cancelled: [],
           })
+
+          return
         }
 
-        log(`Started to compare ${files.compare.length} screenshots`, OPTIONS.debug)
-
-        // Start adding images to array of promises
-        const imagesToCompare = [] // Array of promises
-
-        files.compare.forEach(fileName => {
-          // Set diff path where we will save new screenshots
-          // If the path is not specified, new diff images will be saved into
-          // a `diff` subfolder under `new` images
-          const diffPath = OPTIONS.dirDiff !== null
-            ? path.normalize(OPTIONS.dirDiff)
-            : path.normalize(OPTIONS.dirNew + path.sep + '/diff/')
-
-          // Add promise to array of promises
-          imagesToCompare.push(
-            diffImages({
-              dirBaseline: OPTIONS.dirBaseline,
-              dirNew: OPTIONS.dirNew,
-              dirDiff: diffPath,
-              imageName: fileName,
-              diffImageName: pngExtension(fileName),
-              debug: OPTIONS.debug,
-            })
-          )
-        })
+        const total = files.compare.length
+        const concurrency = Math.max(1, Math.floor(Number(OPTIONS.concurrency)) || 1)
+        const workerCount = OPTIONS.workers === true
+          ? Math.max(1, os.cpus().length - 1)
+          : Math.floor(Number(OPTIONS.workers)) || 0
+        const workers = workerCount > 0
+          ? createWorkerPool({ file: require.resolve('./diff-worker'), size: workerCount, debug: OPTIONS.debug })
+          : null
+
+        log(`Started to compare ${total} screenshots, up to ${concurrency} at the same time`, OPTIONS.debug)
+
+        if (workers) { log(`Comparing in ${workerCount} worker threads`, OPTIONS.debug) }
+
+        // Images which were not compared before the comparison was cancelled
+        // are only reported by name
+        const compareImage = (pair) => {
+          const fileName = pair.testedImageName
+
+          if (isAborted(OPTIONS.signal)) {
+            return Promise.resolve({ testedImage: fileName, cancelled: true })
+          }
 
-        // Start comparing images
-        Promise.all(imagesToCompare)
+          const imageOptions = (OPTIONS.imageOptions || {})[fileName] || {}
+
+          return diffImages({
+            dirBaseline: OPTIONS.dirBaseline,
+            dirNew: OPTIONS.dirNew,
+            dirDiff: diffDirectory(OPTIONS),
+            imageName: fileName,
+            baselineImageName: pair.baselineImageName,
+            diffImageName: pngExtension(fileName),
+            ...resolveTolerance(OPTIONS, imageOptions),
+            ignoreRegions: validateRegions([
+              ...(OPTIONS.ignoreRegions || []),
+              ...(imageOptions.ignoreRegions || []),
+            ]),
+            sizeMismatch: imageOptions.sizeMismatch || OPTIONS.sizeMismatch,
+            algorithm: imageOptions.algorithm || OPTIONS.algorithm,
+            maxRegions: OPTIONS.maxRegions,
+            layout: OPTIONS.layout,
+            captions: OPTIONS.captions,
+            flicker: OPTIONS.flicker,
+            signal: OPTIONS.signal,
+            workers,
+            debug: OPTIONS.debug,
+          })
+            .then(result => result.cancelled
+              ? result
+              : { ...result, pairedBy: pair.pairedBy, includePattern: pair.includePattern })
+        }
+
+        const reportProgress = ({ done, result }) => {
+          const status = result.cancelled
+            ? chalk.yellow('cancelled')
+            : (result.withinTolerance ? chalk.green('passed') : chalk.red('failed'))
+
+          log(`> Compared ${done} / ${total}: ${chalk.magenta(result.testedImage || result.testedImageName)} ${status}`, OPTIONS.debug)
+
+          if (typeof OPTIONS.onProgress === 'function') {
+            OPTIONS.onProgress({ done, total, image: result })
+          }
+        }
+
+        // Start comparing images, workers are stopped whether comparison
+        // succeeded or failed
+        runQueue({
+          items: files.pairs,
+          worker: compareImage,
+          concurrency,
+          onProgress: reportProgress,
+        })
+          .then(
+            results => (workers ? workers.close() : Promise.resolve()).then(() => results),
+            error => (workers ? workers.close() : Promise.resolve()).then(() => { throw error })
+          )
           .then(results => {
             // Sort results
             let passed = []
             const failed = []
+            const cancelled = []
 
             results.forEach(result => {
-              result.diffPercentage = (100 / (result.width * result.height)) * result.diffCount
-
-              if (result.imagesAreSame) {
+              if (result.cancelled) {
+                cancelled.push(result.testedImage)
+              } else if (result.withinTolerance) {
                 passed.push(result)
               } else {
                 failed.push(result)
@@ -578,11 +1192,16 @@ const compareImages = (options) => {
               return result
             })
 
+            if (cancelled.length > 0) {
+              log(`Comparison was cancelled, ${cancelled.length} images were not compared`, OPTIONS.debug)
+            }
+
             resolve({
               passed,
               failed,
               missing: files.missing,
               outdated: files.outdated,
+              cancelled,
             })
           })
           .catch(error => { reject(error) })
@@ -592,86 +1211,193 @@ const compareImages = (options) => {
 }
 
 /**
- * Create diff image from 3 image sources
+ * Approves new images by copying them into the baseline directory. Failed
+ * images and images missing in baseline are copied, outdated baseline images
+ * can be removed, and matching diff images are deleted.
  *
- * @param {Object} options - Configuration object
- * @param {String} options.pathBaseline - Path to baseline file
- * @param {String} options.pathNew - Path to new file
- * @param {String} options.pathDiff - Path to an existing diff image
- * @param {String} options.pathDist - Path where a final diff image will be saved
- * @returns {Promise} Returns promise with notification where the diff image has been saved. Also saves image.
+ * Failed images come from `result` of `compareImages()`. Without it, images
+ * are compared with the same options, e.g. `maxDiffPixels`, `ignoreRegions` or
+ * `imageOptions`, and diff images of this comparison are discarded. Images
+ * which passed within tolerance are never approved.
+ *
+ * @param {Object} options - Configuration object, also accepts `compareImages()` options
+ * @param {String} options.dirBaseline - Directory where baseline images are stored
+ * @param {String} options.dirNew - Directory where new images are stored
+ * @param {String} [options.dirDiff=./new/diff/] - Directory where generated diffs are stored
+ * @param {Object} [options.result] - Result of `compareImages()` whose failed,
+ * missing and outdated images are approved
+ * @param {Array} [options.images] - Names of images to approve. If not set, all
+ * failed and missing images are approved
+ * @param {Boolean} [options.recursive=false] - Also approve images in
+ * subdirectories, named by their relative path, e.g. `codes/home.png`
+ * @param {String|Array} [options.include] - Glob patterns of images to
+ * approve, same as in `compareImages()`
+ * @param {String|Array} [options.exclude] - Glob patterns of images to skip
+ * @param {Object|Function} [options.mapping] - Pairs differently named images,
+ * same as in `compareImages()`. Failed image replaces its mapped baseline
+ * @param {Boolean} [options.addMissing=true] - Copy images missing in baseline directory
+ * @param {Boolean} [options.removeOutdated=false] - Delete baseline images which are not present in new directory
+ * @param {Boolean} [options.dryRun=false] - Only report what would be done,
+ * without touching any files. Missing baseline directory is treated as empty
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Promise} Returns object with `updated`, `added` and `removed`
+ * arrays of image names, and `log` array with every touched file
  *
  * @example
- * createDiffImage({
- *  pathBaseline: './temp/baseline/screenshot.jpg',
- *  pathNew: './temp/new/screenshot.jpg',
- *  pathDiff: './temp/new/diff/screenshot.png'
+ * approveImages({
+ *   dirBaseline: './temp/baseline/',
+ *   dirNew: './temp/new/',
+ *   images: ['screenshot2.jpg'],
+ *   dryRun: true,
  * })
- *  .then((result) => { console.log(result) })
- *  .catch((error) => { console.error(error) })
+ *   .then(result => { console.log(result.log) })
  */
-const createDiffImage = (options = null) => {
+const approveImages = (options) => {
   const OPTIONS = {
-    pathBaseline: null,
-    pathNew: null,
-    pathDiff: null,
-    pathDist: null,
+    dirBaseline: null,
+    dirNew: null,
+    dirDiff: null,
+    result: null,
+    images: null,
+    addMissing: true,
+    removeOutdated: false,
+    recursive: false,
+    include: null,
+    exclude: null,
+    mapping: null,
+    dryRun: false,
+    debug: null,
     ...options
   }
 
-  return new Promise((resolve, reject) => {
-    // Error checks
-    if (options === null) {
-      reject(new Error('Cannot create diff image, missing configuration object `options`'))
+  const prefix = OPTIONS.dryRun ? '[dry run] ' : ''
+  const diffPath = diffDirectory(OPTIONS)
+  const result = {
+    updated: [],
+    added: [],
+    removed: [],
+    log: [],
+  }
+
+  // Every touched file is written to the log, even in dry run mode
+  const touch = async (action, file, source = null) => {
+    result.log.push({ action, path: file, source })
+    log(`${prefix}${action} ${file}`, OPTIONS.debug)
+
+    if (OPTIONS.dryRun) { return }
+
+    if (action === 'remove') {
+      await fse.remove(file)
+    } else {
+      await fse.copy(source, file)
     }
+  }
+
+  // Diff image of an approved or removed image is no longer valid
+  const removeDiff = async (name) => {
+    const diffImage = path.normalize(diffPath + path.sep + pngExtension(name))
+
+    if (await fse.pathExists(diffImage)) { await touch('remove', diffImage) }
+  }
 
-    if (isFalsy(OPTIONS.pathBaseline)) {
-      reject(new Error('Cannot create diff image, missing option `pathBaseline`'))
+  const approve = async (compared) => {
+    const selected = OPTIONS.images === null ? null : [].concat(OPTIONS.images)
+
+    if (selected !== null) {
+      const present = [
+        ...compared.passed.map(image => image.testedImage || image.testedImageName),
+        ...compared.failed.map(image => image.testedImageName),
+        ...compared.missing,
+      ]
+      const unknown = selected.filter(name => !present.includes(name))
+
+      if (unknown.length > 0) {
+        throw new Error(`Cannot approve images which are not present in new directory: ${unknown.join(', ')}`)
+      }
     }
 
-    if (isFalsy(OPTIONS.pathNew)) {
-      reject(new Error('Cannot create diff image, missing option `pathNew`'))
+    const isSelected = name => selected === null || selected.includes(name)
+
+    // Failed images replace the baseline they were compared with
+    for (const image of compared.failed.filter(image => isSelected(image.testedImageName))) {
+      const name = image.testedImageName
+
+      await touch(
+        'update',
+        path.normalize(OPTIONS.dirBaseline + path.sep + (image.baselineImageName || name)),
+        path.normalize(OPTIONS.dirNew + path.sep + name)
+      )
+      await removeDiff(name)
+      result.updated.push(name)
     }
 
-    if (isFalsy(OPTIONS.pathDiff)) {
-      reject(new Error('Cannot create diff image, missing option `pathDiff`'))
+    // Images missing in baseline
+    if (OPTIONS.addMissing) {
+      for (const name of compared.missing.filter(isSelected)) {
+        await touch(
+          'add',
+          path.normalize(OPTIONS.dirBaseline + path.sep + name),
+          path.normalize(OPTIONS.dirNew + path.sep + name)
+        )
+        result.added.push(name)
+      }
     }
 
-    if (isFalsy(OPTIONS.pathDist)) {
-      reject(new Error('Cannot create diff image, missing option `pathDist`'))
+    // Baseline images which are no longer generated
+    if (OPTIONS.removeOutdated) {
+      for (const name of compared.outdated) {
+        await touch('remove', path.normalize(OPTIONS.dirBaseline + path.sep + name))
+        await removeDiff(name)
+        result.removed.push(name)
+      }
     }
 
-    // Check if files exist
-    const imageBaseline = fileExists({ path: OPTIONS.pathBaseline })
-    const imageNew = fileExists({ path: OPTIONS.pathNew })
-    const imageDiff = fileExists({ path: OPTIONS.pathDiff })
-
-    Promise.all([imageBaseline, imageNew, imageDiff])
-      .then(() => {
-        joinImages(
-          [
-            OPTIONS.pathBaseline,
-            OPTIONS.pathDiff,
-            OPTIONS.pathNew
-          ],
-          {
-            direction: 'horizontal',
-            offset: 10, // Space between images
-            margin: '10 10 10 10', // Margins on the side
-          }
-        )
-          .then((img) => {
-            img.toFile(OPTIONS.pathDist)
-            resolve(`Diff image ${OPTIONS.pathDist} has been created`)
-          })
-      })
-      .catch(error => {
-        reject(new Error(`Cannot create diff image, reason: \n\t${error}`))
-      })
+    log(
+      `${prefix}Approved ${result.updated.length} failed and ${result.added.length} missing images, removed ${result.removed.length} outdated images`,
+      OPTIONS.debug
+    )
+
+    return result
+  }
+
+  return new Promise((resolve, reject) => {
+    const readOptions = { recursive: OPTIONS.recursive, ignoreDirs: [diffPath] }
+
+    // First approval creates the baseline directory. Dry run doesn't create
+    // it, so missing baseline directory is treated as empty. Diff images of
+    // the comparison are saved into a temporary directory and discarded
+    const compare = async () => {
+      if (OPTIONS.result !== null) { return OPTIONS.result }
+
+      if (OPTIONS.dirBaseline !== null) {
+        if (OPTIONS.dryRun && !(await fse.pathExists(OPTIONS.dirBaseline))) {
+          const { missing } = pairImages([], await getImageNames(OPTIONS.dirNew, null, readOptions), OPTIONS)
+
+          return { passed: [], failed: [], missing, outdated: [], cancelled: [] }
+        }
+
+        if (!OPTIONS.dryRun) { await fse.ensureDir(OPTIONS.dirBaseline) }
+      }
+
+      const dirDiff = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+
+      try {
+        return await compareImages({ ...OPTIONS, dirDiff, ignoreDirs: readOptions.ignoreDirs })
+      } finally {
+        await fse.remove(dirDiff)
+      }
+    }
+
+    compare()
+      .then(compared => approve(compared))
+      .then(result => { resolve(result) })
+      .catch(error => { reject(error) })
   })
 }
 
 module.exports = {
   generateImages,
   compareImages,
+  compareImageDirectories,
+  approveImages,
 }
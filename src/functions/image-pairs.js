@@ -0,0 +1,159 @@
+/**
+ * Converts glob pattern into regular expression. `*` matches any characters
+ * except `/`, `**` matches across directories, `?` matches one character and
+ * `{a,b}` matches any of the alternatives.
+ *
+ * @param {String} pattern - Glob pattern, e.g. `codes/**\/*.png`
+ * @returns {RegExp}
+ *
+ * @example
+ * globToRegExp('codes/*.png').test('codes/home.png') // true
+ */
+const globToRegExp = (pattern) => {
+  let source = ''
+  let braces = 0
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{') {
+      source += '(?:'
+      braces++
+    } else if (char === '}' && braces > 0) {
+      source += ')'
+      braces--
+    } else if (char === ',' && braces > 0) {
+      source += '|'
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Returns first pattern which matches the image name
+ *
+ * @param {String} name - Image name, relative path in recursive mode
+ * @param {Array} patterns - Glob patterns
+ * @returns {String|null} Matched pattern or `null`
+ */
+const matchPattern = (name, patterns) => patterns.find(pattern => globToRegExp(pattern).test(name)) || null
+
+/**
+ * Checks include and exclude patterns and mapping used by `pairImages()`
+ *
+ * @param {Object} options - Object with `include`, `exclude` and `mapping` keys
+ * @returns {Object} Object with `include` and `exclude` arrays and `mapping`
+ */
+const resolvePairOptions = (options) => {
+  const patterns = (value, name) => {
+    const list = value === null || typeof value === 'undefined' ? [] : [].concat(value)
+
+    if (list.some(pattern => typeof pattern !== 'string' || pattern === '')) {
+      throw new Error(`"${name}" must be a glob pattern or an array of glob patterns`)
+    }
+
+    return list
+  }
+  const mapping = options.mapping || null
+
+  if (mapping !== null && typeof mapping !== 'function' && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+    throw new Error('"mapping" must be an object or a function')
+  }
+
+  return {
+    include: patterns(options.include, 'include'),
+    exclude: patterns(options.exclude, 'exclude'),
+    mapping,
+  }
+}
+
+/**
+ * Pairs new images with baseline images. New image is paired with the
+ * baseline image returned by `mapping`, or with baseline image of the same
+ * name. Only new images matching an `include` pattern and no `exclude`
+ * pattern are paired, and only baseline images matching them are outdated.
+ * Baseline images which are not paired, but present in new directory under
+ * the same name, are not outdated.
+ *
+ * @param {Array} filesBaseline - Baseline image names
+ * @param {Array} filesNew - New image names
+ * @param {Object} [options] - Configuration object
+ * @param {String|Array} [options.include] - Glob patterns of images to compare, all by default
+ * @param {String|Array} [options.exclude] - Glob patterns of images to skip
+ * @param {Object|Function} [options.mapping] - Object where key is the new
+ * image and value is the baseline image it is compared to, or a function
+ * which receives new image name and returns baseline image name. When it
+ * returns nothing, images are paired by name
+ * @returns {Object} Object with `compare`, `missing` and `outdated` arrays of
+ * image names, and `pairs` array of `{ testedImageName, baselineImageName, pairedBy, includePattern }`
+ * objects, where `pairedBy` is `name` or `mapping` and `includePattern` is the
+ * include pattern which selected the image
+ *
+ * @example
+ * pairImages(['home-chromium.png'], ['home-firefox.png'], {
+ *   mapping: { 'home-firefox.png': 'home-chromium.png' },
+ * })
+ * // { compare: ['home-firefox.png'], missing: [], outdated: [], pairs: [{ ..., pairedBy: 'mapping' }] }
+ */
+const pairImages = (filesBaseline, filesNew, options = {}) => {
+  const { include, exclude, mapping } = resolvePairOptions(options)
+  const isSelected = name => (include.length === 0 || matchPattern(name, include) !== null) &&
+    matchPattern(name, exclude) === null
+  const mapped = (name) => {
+    const target = typeof mapping === 'function' ? mapping(name) : (mapping || {})[name]
+
+    return typeof target === 'string' && target !== name ? target : null
+  }
+  const pairs = []
+  const missing = []
+  const paired = new Set()
+
+  filesNew.filter(isSelected).forEach(newFile => {
+    const target = mapped(newFile)
+    const baselineFile = target !== null ? target : newFile
+
+    if (filesBaseline.includes(baselineFile)) {
+      paired.add(baselineFile)
+      pairs.push({
+        testedImageName: newFile,
+        baselineImageName: baselineFile,
+        pairedBy: target !== null ? 'mapping' : 'name',
+        includePattern: include.length > 0 ? matchPattern(newFile, include) : null,
+      })
+    } else {
+      missing.push(newFile)
+    }
+  })
+
+  return {
+    compare: pairs.map(pair => pair.testedImageName),
+    missing,
+    outdated: filesBaseline.filter(baselineFile => (
+      !paired.has(baselineFile) && !filesNew.includes(baselineFile) && isSelected(baselineFile)
+    )),
+    pairs,
+  }
+}
+
+module.exports = {
+  globToRegExp,
+  matchPattern,
+  resolvePairOptions,
+  pairImages,
+}
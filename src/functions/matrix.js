@@ -0,0 +1,166 @@
+const path = require('path')
+const { deviceDescriptor, resolveEngine } = require('./emulation')
+
+/**
+ * Default name template of expanded images. `{variant}` is only used when the
+ * config has variants.
+ */
+const NAME_TEMPLATE = '{name}-{engine}-{width}x{height}.{ext}'
+const NAME_TEMPLATE_VARIANTS = '{name}-{variant}-{engine}-{width}x{height}.{ext}'
+
+/**
+ * Checks if image config describes a matrix of screenshots
+ *
+ * @param {Object} config - Image config
+ * @returns {Boolean}
+ */
+const isMatrix = config => Array.isArray(config.engine) ||
+  Array.isArray(config.viewports) ||
+  Array.isArray(config.variants)
+
+/**
+ * Converts `[width, height]` or `{ width, height }` into a viewport object
+ *
+ * @param {Array|Object} viewport - Viewport
+ * @param {Number} index - Position of viewport, used in error message
+ * @returns {Object} Object with `width` and `height` keys
+ */
+const toViewport = (viewport, index) => {
+  const [width, height] = Array.isArray(viewport)
+    ? viewport
+    : [viewport && viewport.width, viewport && viewport.height]
+
+  if (!(Number(width) > 0) || !(Number(height) > 0)) {
+    throw new Error(`Viewport ${index + 1} must have positive width and height`)
+  }
+
+  return { width: Number(width), height: Number(height) }
+}
+
+/**
+ * Replaces `{key}` placeholders in a name template
+ *
+ * @param {String} template - Name template
+ * @param {Object} values - Values of placeholders
+ * @returns {String} Image name
+ */
+const fillTemplate = (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => {
+  if (typeof values[key] === 'undefined') {
+    throw new Error(`Unknown placeholder ${match} in name template "${template}"`)
+  }
+
+  return values[key]
+})
+
+/**
+ * Expands a matrix config into one image config per cell. Every combination
+ * of `engine`, `viewports` and `variants` becomes a separate screenshot.
+ *
+ * @param {Object} config - Image config, see `screenshot()`
+ * @param {String|Array} [config.engine] - Engine or array of engines
+ * @param {Array} [config.viewports] - Array of `[width, height]` or `{ width, height }` viewports
+ * @param {Array} [config.variants] - Array of named variants. Each variant is
+ * an object with a `name` and screenshot options which override the config
+ * @param {String} [config.nameTemplate] - Template of image names with
+ * `{name}`, `{variant}`, `{engine}`, `{width}`, `{height}` and `{ext}` placeholders
+ * @returns {Array} Array of image configs, each with a `matrix` key
+ *
+ * @example
+ * expandConfig({
+ *   goto: 'http://localhost',
+ *   name: 'home.png',
+ *   engine: ['firefox', 'chromium'],
+ *   viewports: [[375, 667], [1280, 800]],
+ * })
+ * // Four configs named `home-firefox-375x667.png`, `home-firefox-1280x800.png`, ...
+ */
+const expandConfig = (config) => {
+  const { viewports, variants, nameTemplate, ...base } = config
+
+  if (!base.name) { throw new Error('Matrix config requires a `name`') }
+
+  const device = deviceDescriptor(base.device)
+  const engines = [].concat(base.engine || resolveEngine(base))
+  const sizes = Array.isArray(viewports)
+    ? viewports.map(toViewport)
+    : [{
+        width: base.width || (device ? device.viewport.width : 800),
+        height: base.height || (device ? device.viewport.height : 600),
+      }]
+  const cells = Array.isArray(variants) ? variants : [null]
+
+  cells.forEach((variant, index) => {
+    if (variant !== null && !(variant && variant.name)) {
+      throw new Error(`Variant ${index + 1} of ${base.name} requires a \`name\``)
+    }
+  })
+
+  const extension = path.extname(base.name)
+  const template = nameTemplate || (Array.isArray(variants) ? NAME_TEMPLATE_VARIANTS : NAME_TEMPLATE)
+  const configs = []
+
+  cells.forEach(variant => {
+    const { name: variantName, ...overrides } = variant || {}
+
+    engines.forEach(engine => {
+      sizes.forEach(({ width, height }) => {
+        const matrix = {
+          source: base.name,
+          engine,
+          width,
+          height,
+          variant: variant ? variantName : null,
+        }
+
+        configs.push({
+          ...base,
+          ...overrides,
+          engine,
+          width,
+          height,
+          name: fillTemplate(template, {
+            name: path.basename(base.name, extension),
+            variant: matrix.variant || '',
+            engine,
+            width,
+            height,
+            ext: extension.slice(1),
+          }),
+          matrix,
+        })
+      })
+    })
+  })
+
+  return configs
+}
+
+/**
+ * Expands matrix configs of `generateImages()`. Plain configs are kept as
+ * they are. Throws an error if two images would be saved to the same file.
+ *
+ * @param {Array} imagesConfig - Array of image configs
+ * @returns {Array} Array of image configs
+ */
+const expandMatrix = (imagesConfig) => {
+  const configs = imagesConfig.flatMap(config => isMatrix(config) ? expandConfig(config) : [config])
+  const file = config => path.join(config.path || '', config.name)
+  const seen = new Set(configs.filter(config => !config.matrix).map(file))
+
+  configs.forEach(config => {
+    if (!config.matrix) { return }
+
+    if (seen.has(file(config))) {
+      throw new Error(`Matrix creates more than one image named ${file(config)}, add placeholders to \`nameTemplate\``)
+    }
+
+    seen.add(file(config))
+  })
+
+  return configs
+}
+
+module.exports = {
+  expandConfig,
+  expandMatrix,
+}
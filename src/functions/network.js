@@ -0,0 +1,128 @@
+const path = require('path')
+const fse = require('fs-extra')
+const chalk = require('chalk')
+const { log } = require('./helpers')
+
+/**
+ * Supported network modes
+ */
+const NETWORK_MODES = ['live', 'record', 'replay']
+
+/**
+ * Returns path to HAR file of a screenshot. By default HAR file is saved into
+ * `harDir`, or next to the screenshot, with the same name and `.har` extension.
+ *
+ * @param {Object} options - Screenshot options
+ * @returns {String|null} Path to HAR file or `null` if it can't be determined
+ */
+const harFilePath = (options) => {
+  if (options.harPath) { return path.normalize(options.harPath) }
+
+  const dir = options.harDir || options.path
+
+  if (!dir || !options.name) { return null }
+
+  const name = path.basename(options.name, path.extname(options.name))
+
+  return path.normalize(dir + path.sep + name + '.har')
+}
+
+/**
+ * Checks network options and returns browser context options required for
+ * recording
+ *
+ * @param {Object} options - Screenshot options
+ * @param {String} [options.network=live] - `live`, `record` or `replay`
+ * @param {String} [options.harPath] - Path to HAR file
+ * @param {String} [options.harDir] - Directory of HAR file named after the screenshot
+ * @returns {Object} Options which are added to `browser.newContext()`
+ */
+const networkContextOptions = (options) => {
+  const mode = options.network || 'live'
+
+  if (!NETWORK_MODES.includes(mode)) {
+    throw new Error(`Unknown network mode "${mode}", use ${NETWORK_MODES.join(', ')}`)
+  }
+
+  if (mode === 'live') { return {} }
+
+  const har = harFilePath(options)
+
+  if (har === null) {
+    throw new Error(`Network mode "${mode}" requires \`harPath\`, or \`harDir\` or \`path\` and \`name\``)
+  }
+
+  if (mode === 'replay') { return {} }
+
+  // HAR file is written when the context is closed
+  fse.ensureDirSync(path.dirname(har))
+
+  return {
+    recordHar: {
+      path: har,
+      mode: 'full',
+      content: 'embed',
+    },
+  }
+}
+
+/**
+ * Sets up HAR replay and route rules on a browser context. Route rules are
+ * added after HAR replay, so they take precedence over recorded responses.
+ *
+ * @param {Object} context - Browser context
+ * @param {Object} options - Screenshot options
+ * @param {String} [options.network=live] - `live`, `record` or `replay`
+ * @param {Array} [options.routes] - Array of route rules
+ * @param {String} options.routes[].url - URL glob, RegExp or predicate, see Playwright `context.route()`
+ * @param {String} [options.routes[].action] - `block` aborts matching requests
+ * @param {String} [options.routes[].fulfill] - Path to a local fixture file used as response body
+ * @param {Number} [options.routes[].status=200] - Response status for `fulfill`
+ * @param {String} [options.routes[].contentType] - Response content type for `fulfill`
+ * @param {Object} [options.routes[].headers] - Response headers for `fulfill`
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Promise} Resolves when routes are set up
+ */
+const setupNetwork = async (context, options) => {
+  if (options.network === 'replay') {
+    const har = harFilePath(options)
+
+    if (!(await fse.pathExists(har))) {
+      throw new Error(`HAR file ${har} does not exist, record it first with \`network: 'record'\``)
+    }
+
+    log(`Replaying network from ${chalk.blue(har)}`, options.debug)
+
+    // Requests which were not recorded are blocked
+    await context.routeFromHAR(har, { notFound: 'abort' })
+  }
+
+  for (const [index, rule] of (options.routes || []).entries()) {
+    if (!rule || !rule.url) {
+      throw new Error(`Route rule ${index + 1} is missing an url`)
+    }
+
+    if (rule.action === 'block') {
+      await context.route(rule.url, route => route.abort('blockedbyclient'))
+    } else if (rule.fulfill) {
+      if (!(await fse.pathExists(rule.fulfill))) {
+        throw new Error(`Fixture file ${rule.fulfill} does not exist`)
+      }
+
+      await context.route(rule.url, route => route.fulfill({
+        status: rule.status || 200,
+        contentType: rule.contentType,
+        headers: rule.headers,
+        path: rule.fulfill,
+      }))
+    } else {
+      throw new Error(`Route rule ${index + 1} needs \`action: 'block'\` or \`fulfill\``)
+    }
+  }
+}
+
+module.exports = {
+  harFilePath,
+  networkContextOptions,
+  setupNetwork,
+}
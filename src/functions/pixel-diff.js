@@ -0,0 +1,410 @@
+const path = require('path')
+const fse = require('fs-extra')
+const { PNG } = require('pngjs')
+const jpeg = require('jpeg-js')
+const pixelmatch = require('pixelmatch')
+const { ssimDiff, perceptualDiff } = require('./similarity')
+const { findRegions } = require('./regions')
+
+/**
+ * Color used to paint ignored regions in the diff image, `[r, g, b, alpha]`
+ */
+const IGNORED_COLOR = [0, 120, 255, 0.35]
+
+/**
+ * Color of different pixels in `pixelmatch` diff image, `[r, g, b]`
+ */
+const DIFF_COLOR = [255, 0, 0]
+
+/**
+ * How images with different sizes are compared:
+ * - `pad` - Smaller image is padded to the larger size, padded area counts as
+ *   different and images never pass
+ * - `overlap` - Only the area present in both images is compared
+ * - `fail` - Images are not compared and fail with `size changed` reason
+ */
+const SIZE_MISMATCH_MODES = ['pad', 'overlap', 'fail']
+
+/**
+ * Reason of images which failed because of different sizes
+ */
+const SIZE_CHANGED = 'size changed'
+
+/**
+ * Comparison algorithms with default `minScore` needed to pass. Every
+ * algorithm returns `diffCount`, `score` from 0 to 1, where 1 means the same,
+ * `diff` image and `diffMask` where different pixels are set to `1`.
+ * - `pixel` - Pixel by pixel with `pixelmatch`, passes only when images are
+ *   the same, unless tolerance is set
+ * - `ssim` - Structural similarity, tolerant to small rendering differences,
+ *   but sensitive to changes of structure. Diff image is a heatmap
+ * - `perceptual` - Color distance as seen by human eye, tolerant to
+ *   anti-aliasing and font rendering jitter
+ */
+const ALGORITHMS = {
+  pixel: {
+    minScore: null,
+    compare: (baseline, current, options) => {
+      const { width, height } = baseline
+      const diff = { width, height, data: new Uint8Array(width * height * 4) }
+      const diffCount = pixelmatch(baseline.data, current.data, diff.data, width, height, {
+        threshold: options.threshold,
+        includeAA: options.includeAA,
+        diffColor: DIFF_COLOR,
+      })
+      const comparedPixels = width * height - options.ignoredPixels
+      const diffMask = new Uint8Array(width * height)
+
+      // Background of the diff image is gray, so only counted pixels have diff color
+      for (let i = 0; i < diffMask.length; i++) {
+        const idx = i * 4
+
+        if (diff.data[idx] === DIFF_COLOR[0] && diff.data[idx + 1] === DIFF_COLOR[1] && diff.data[idx + 2] === DIFF_COLOR[2]) {
+          diffMask[i] = 1
+        }
+      }
+
+      return {
+        diffCount,
+        score: comparedPixels > 0 ? 1 - diffCount / comparedPixels : 1,
+        diff,
+        diffMask,
+      }
+    },
+  },
+  ssim: {
+    minScore: 0.99,
+    compare: ssimDiff,
+  },
+  perceptual: {
+    minScore: 0.999,
+    compare: perceptualDiff,
+  },
+}
+
+/**
+ * Reads and decodes `png`, `jpg` or `jpeg` image
+ *
+ * @param {String} file - Path to image
+ * @returns {Promise} Resolves with object with `width`, `height` and RGBA `data` keys
+ */
+const readImage = async (file) => {
+  const buffer = await fse.readFile(file)
+
+  if (/\.png$/i.test(file)) {
+    const png = PNG.sync.read(buffer)
+
+    return { width: png.width, height: png.height, data: png.data }
+  }
+
+  if (/\.jpe?g$/i.test(file)) {
+    const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 2048 })
+
+    return { width: image.width, height: image.height, data: image.data }
+  }
+
+  throw new Error(`Unsupported image type: ${path.basename(file)}, use .png, .jpg or .jpeg`)
+}
+
+/**
+ * Encodes RGBA image as PNG
+ *
+ * @param {Object} image - Object with `width`, `height` and RGBA `data` keys
+ * @returns {Buffer} PNG file
+ */
+const encodePng = (image) => {
+  const png = new PNG({ width: image.width, height: image.height })
+
+  png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length)
+
+  return PNG.sync.write(png)
+}
+
+/**
+ * Encodes RGBA image as PNG and saves it
+ *
+ * @param {String} file - Path where image will be saved
+ * @param {Object} image - Object with `width`, `height` and RGBA `data` keys
+ * @returns {Promise} Resolves when image is saved
+ */
+const writePng = (file, image) => fse.outputFile(file, encodePng(image))
+
+/**
+ * Puts image on a canvas of requested size, anchored to the top left corner.
+ * Larger image is cropped, added area is transparent.
+ *
+ * @param {Object} image - Object with `width`, `height` and RGBA `data` keys
+ * @param {Number} width - Canvas width
+ * @param {Number} height - Canvas height
+ * @returns {Object} Image of requested size
+ */
+const resizeCanvas = (image, width, height) => {
+  if (image.width === width && image.height === height) { return image }
+
+  const data = new Uint8Array(width * height * 4)
+  const rowLength = Math.min(image.width, width) * 4
+
+  for (let y = 0; y < Math.min(image.height, height); y++) {
+    const start = y * image.width * 4
+
+    data.set(image.data.subarray(start, start + rowLength), y * width * 4)
+  }
+
+  return { width, height, data }
+}
+
+/**
+ * Checks if every ignore region is an object with numeric `x`, `y`, `width`
+ * and `height` keys
+ *
+ * @param {Array} regions - Array of regions
+ * @returns {Array} Returns the same array if it is valid, otherwise throws an error
+ */
+const validateRegions = (regions = []) => {
+  if (!Array.isArray(regions)) { throw new Error('Ignore regions must be an array of objects') }
+
+  regions.forEach((region, index) => {
+    const valid = region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key]))
+
+    if (!valid) {
+      throw new Error(`Ignore region ${index + 1} must have numeric x, y, width and height`)
+    }
+  })
+
+  return regions
+}
+
+/**
+ * Creates a mask where every ignored pixel is set to `1`. Regions are clipped
+ * to image size and may overlap.
+ *
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Array} regions - Array of `{ x, y, width, height }` objects
+ * @returns {Object} Object with `mask` (Uint8Array) and `count` of ignored pixels
+ */
+const createIgnoreMask = (width, height, regions = []) => {
+  const mask = new Uint8Array(width * height)
+  let count = 0
+
+  regions.forEach(region => {
+    const left = Math.max(0, Math.floor(region.x))
+    const top = Math.max(0, Math.floor(region.y))
+    const right = Math.min(width, Math.ceil(region.x + region.width))
+    const bottom = Math.min(height, Math.ceil(region.y + region.height))
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        if (mask[y * width + x] === 0) {
+          mask[y * width + x] = 1
+          count++
+        }
+      }
+    }
+  })
+
+  return { mask, count }
+}
+
+/**
+ * Paints ignored pixels over the diff image, so ignored regions are clearly
+ * visible in the composed diff image
+ *
+ * @param {Object} image - Diff image with `width`, `height` and RGBA `data` keys
+ * @param {Uint8Array} mask - Mask from `createIgnoreMask()`
+ * @returns {Object} The same image
+ */
+const paintIgnored = (image, mask) => {
+  const [r, g, b, alpha] = IGNORED_COLOR
+
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] === 1) {
+      const idx = i * 4
+
+      image.data[idx] = Math.round(image.data[idx] * (1 - alpha) + r * alpha)
+      image.data[idx + 1] = Math.round(image.data[idx + 1] * (1 - alpha) + g * alpha)
+      image.data[idx + 2] = Math.round(image.data[idx + 2] * (1 - alpha) + b * alpha)
+      image.data[idx + 3] = 255
+    }
+  }
+
+  return image
+}
+
+/**
+ * Compares two images, pixel by pixel by default. Pixels inside ignore
+ * regions are excluded from the comparison and are not counted as different.
+ *
+ * @param {Object} options - Configuration object
+ * @param {String} options.pathBaseline - Path to baseline image
+ * @param {String} options.pathNew - Path to new image
+ * @param {String} [options.pathDiff] - Path where diff image will be saved. If
+ * not set, diff image is not saved
+ * @param {Number} [options.threshold=0.1] - Pixel color threshold from 0 to 1
+ * @param {Boolean} [options.includeAA=false] - Count anti-aliased pixels as different
+ * @param {Array} [options.ignoreRegions] - Array of `{ x, y, width, height }` objects
+ * @param {String} [options.sizeMismatch=pad] - How images with different sizes
+ * are compared, `pad`, `overlap` or `fail`
+ * @param {String} [options.algorithm=pixel] - `pixel`, `ssim` or `perceptual`
+ * @param {Number} [options.minScore] - Used by `ssim`, pixels of blocks with
+ * lower SSIM are counted as different. Defaults to the algorithm's `minScore`
+ * @param {Number} [options.maxRegions=50] - Max number of changed regions in the result
+ * @returns {Promise} Resolves with object with `width`, `height`,
+ * `imagesAreSame`, `diffCount`, `ignoredPixels`, `algorithm`, `score`,
+ * `regions`, `regionCount`, `baselineSize`, `newSize`, `sizeChanged` and
+ * `reason` keys. `regions` are connected groups of different pixels, see
+ * `findRegions()`, largest first. `width` and `height` are the size of the
+ * compared area. With `pad` mode, images of different sizes are never the
+ * same. With `fail` mode, images of different sizes are not compared,
+ * their `width`, `height`, `diffCount`, `score` and `regions` are `null` and
+ * `reason` is `size changed`
+ *
+ * @example
+ * pixelDiff({
+ *   pathBaseline: './temp/baseline/home.png',
+ *   pathNew: './temp/new/home.png',
+ *   pathDiff: './temp/diff/home.temp.png',
+ *   ignoreRegions: [{ x: 0, y: 0, width: 800, height: 60 }],
+ * })
+ */
+const pixelDiff = async (options) => {
+  const OPTIONS = {
+    pathBaseline: null,
+    pathNew: null,
+    pathDiff: null,
+    threshold: 0.1,
+    includeAA: false,
+    ignoreRegions: [],
+    sizeMismatch: 'pad',
+    algorithm: 'pixel',
+    minScore: null,
+    maxRegions: 50,
+    ...options
+  }
+
+  if (!ALGORITHMS[OPTIONS.algorithm]) {
+    throw new Error(`Unknown comparison algorithm "${OPTIONS.algorithm}", use ${Object.keys(ALGORITHMS).join(', ')}`)
+  }
+
+  if (!SIZE_MISMATCH_MODES.includes(OPTIONS.sizeMismatch)) {
+    throw new Error(`Unknown size mismatch mode "${OPTIONS.sizeMismatch}", use ${SIZE_MISMATCH_MODES.join(', ')}`)
+  }
+
+  const regions = validateRegions(OPTIONS.ignoreRegions || [])
+  const [baselineImage, newImage] = await Promise.all([
+    readImage(OPTIONS.pathBaseline),
+    readImage(OPTIONS.pathNew),
+  ])
+  const baselineSize = { width: baselineImage.width, height: baselineImage.height }
+  const newSize = { width: newImage.width, height: newImage.height }
+  const sizeChanged = baselineSize.width !== newSize.width || baselineSize.height !== newSize.height
+
+  if (sizeChanged && OPTIONS.sizeMismatch === 'fail') {
+    return {
+      width: null,
+      height: null,
+      imagesAreSame: false,
+      diffCount: null,
+      ignoredPixels: 0,
+      algorithm: OPTIONS.algorithm,
+      score: null,
+      regions: null,
+      regionCount: null,
+      baselineSize,
+      newSize,
+      sizeChanged,
+      reason: SIZE_CHANGED,
+    }
+  }
+
+  // Images with different sizes are compared on the larger canvas, or only
+  // where they overlap
+  const fit = OPTIONS.sizeMismatch === 'overlap' ? Math.min : Math.max
+  const width = fit(baselineImage.width, newImage.width)
+  const height = fit(baselineImage.height, newImage.height)
+  const baseline = resizeCanvas(baselineImage, width, height)
+  const current = resizeCanvas(newImage, width, height)
+  const { mask, count: ignoredPixels } = createIgnoreMask(width, height, regions)
+
+  // Ignored pixels are copied from baseline, so they always match
+  let compared = current.data
+
+  if (ignoredPixels > 0) {
+    compared = Uint8Array.from(current.data)
+
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === 1) { compared.set(baseline.data.subarray(i * 4, i * 4 + 4), i * 4) }
+    }
+  }
+
+  const { diffCount: comparedDiffCount, score: comparedScore, diff, diffMask } = ALGORITHMS[OPTIONS.algorithm].compare(
+    baseline,
+    { width, height, data: compared },
+    {
+      threshold: OPTIONS.threshold,
+      includeAA: OPTIONS.includeAA,
+      minScore: OPTIONS.minScore === null ? ALGORITHMS[OPTIONS.algorithm].minScore : OPTIONS.minScore,
+      mask,
+      ignoredPixels,
+    }
+  )
+
+  // Transparent padding blends into white pages, so area missing in one of
+  // the images is always counted as different
+  const padded = sizeChanged && OPTIONS.sizeMismatch === 'pad'
+  const overlapWidth = Math.min(baselineSize.width, newSize.width)
+  const overlapHeight = Math.min(baselineSize.height, newSize.height)
+  let paddedPixels = 0
+
+  if (padded) {
+    for (let i = 0; i < diffMask.length; i++) {
+      const x = i % width
+      const y = (i - x) / width
+
+      if ((x >= overlapWidth || y >= overlapHeight) && mask[i] === 0 && diffMask[i] === 0) {
+        diffMask[i] = 1
+        diff.data.set([...DIFF_COLOR, 255], i * 4)
+        paddedPixels++
+      }
+    }
+  }
+
+  const diffCount = comparedDiffCount + paddedPixels
+  const comparedPixels = width * height - ignoredPixels
+  const score = paddedPixels > 0 && comparedPixels > 0
+    ? Math.min(comparedScore, 1 - diffCount / comparedPixels)
+    : comparedScore
+  const changedRegions = findRegions(diffMask, width, height)
+
+  if (OPTIONS.pathDiff) {
+    await writePng(OPTIONS.pathDiff, ignoredPixels > 0 ? paintIgnored(diff, mask) : diff)
+  }
+
+  return {
+    width,
+    height,
+    imagesAreSame: diffCount === 0 && !padded,
+    diffCount,
+    ignoredPixels,
+    algorithm: OPTIONS.algorithm,
+    score,
+    regions: changedRegions.slice(0, OPTIONS.maxRegions),
+    regionCount: changedRegions.length,
+    baselineSize,
+    newSize,
+    sizeChanged,
+    reason: null,
+  }
+}
+
+module.exports = {
+  ALGORITHMS,
+  SIZE_MISMATCH_MODES,
+  SIZE_CHANGED,
+  readImage,
+  encodePng,
+  writePng,
+  resizeCanvas,
+  validateRegions,
+  pixelDiff,
+}
@@ -0,0 +1,113 @@
+/**
+ * Color of region outlines in diff images, `[r, g, b]`
+ */
+const OUTLINE_COLOR = [255, 0, 255]
+
+/**
+ * Groups different pixels into connected regions. Pixels touching each other,
+ * including diagonally, belong to the same region.
+ *
+ * @param {Uint8Array} mask - Mask where every different pixel is set to `1`
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @returns {Array} Array of `{ x, y, width, height, pixels }` objects with
+ * bounding box and number of different pixels, largest regions first
+ *
+ * @example
+ * findRegions(mask, 800, 600)
+ * // [{ x: 120, y: 40, width: 96, height: 32, pixels: 1250 }]
+ */
+const findRegions = (mask, width, height) => {
+  const visited = new Uint8Array(mask.length)
+  const stack = new Int32Array(mask.length)
+  const regions = []
+
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1 || visited[start] === 1) { continue }
+
+    let size = 0
+    let left = width
+    let top = height
+    let right = 0
+    let bottom = 0
+    let pixels = 0
+
+    stack[size++] = start
+    visited[start] = 1
+
+    while (size > 0) {
+      const index = stack[--size]
+      const x = index % width
+      const y = (index - x) / width
+
+      pixels++
+      left = Math.min(left, x)
+      top = Math.min(top, y)
+      right = Math.max(right, x)
+      bottom = Math.max(bottom, y)
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx
+          const ny = y + dy
+          const neighbour = ny * width + nx
+
+          if (
+            nx >= 0 && nx < width && ny >= 0 && ny < height &&
+            mask[neighbour] === 1 && visited[neighbour] === 0
+          ) {
+            visited[neighbour] = 1
+            stack[size++] = neighbour
+          }
+        }
+      }
+    }
+
+    regions.push({ x: left, y: top, width: right - left + 1, height: bottom - top + 1, pixels })
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels)
+}
+
+/**
+ * Draws rectangle around every region. Outline is drawn outside of the
+ * bounding box, so it doesn't hide changed pixels.
+ *
+ * @param {Object} image - Object with `width`, `height` and RGBA `data` keys
+ * @param {Array} regions - Array of `{ x, y, width, height }` objects
+ * @param {Number} [lineWidth=2] - Outline width in pixels
+ * @returns {Object} The same image
+ */
+const outlineRegions = (image, regions = [], lineWidth = 2) => {
+  const paint = (x, y) => {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) { return }
+
+    image.data.set([...OUTLINE_COLOR, 255], (y * image.width + x) * 4)
+  }
+
+  regions.forEach(region => {
+    const left = region.x - lineWidth
+    const top = region.y - lineWidth
+    const right = region.x + region.width - 1 + lineWidth
+    const bottom = region.y + region.height - 1 + lineWidth
+
+    for (let line = 0; line < lineWidth; line++) {
+      for (let x = left; x <= right; x++) {
+        paint(x, top + line)
+        paint(x, bottom - line)
+      }
+
+      for (let y = top; y <= bottom; y++) {
+        paint(left + line, y)
+        paint(right - line, y)
+      }
+    }
+  })
+
+  return image
+}
+
+module.exports = {
+  findRegions,
+  outlineRegions,
+}
@@ -0,0 +1,307 @@
+const path = require('path')
+const fse = require('fs-extra')
+const { log, sizeLabel } = require('./helpers')
+const { SIZE_CHANGED } = require('./pixel-diff')
+
+/**
+ * Escapes text which is inserted into HTML
+ *
+ * @param {String} text - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+/**
+ * Returns name of the tested image from a compare result. Passed and failed
+ * results use different keys.
+ *
+ * @param {Object} image - Single image result from `compareImages()`
+ * @returns {String} Image name
+ */
+const testedName = image => image.testedImageName || image.testedImage
+
+/**
+ * Returns image source for the report. Images are embedded as data URIs so
+ * the report can be opened anywhere, otherwise path relative to the report is
+ * used.
+ *
+ * @param {String} imagePath - Path to image
+ * @param {String} reportDir - Directory where report is saved
+ * @param {Boolean} embed - Embed image into the report
+ * @returns {Promise} Resolves with image `src` or `null` if image does not exist
+ */
+const imageSource = async (imagePath, reportDir, embed) => {
+  if (!imagePath || !(await fse.pathExists(imagePath))) { return null }
+
+  if (!embed) {
+    return encodeURI(path.relative(reportDir, imagePath).split(path.sep).join('/'))
+  }
+
+  const mime = /\.jpe?g$/i.test(imagePath) ? 'image/jpeg' : 'image/png'
+  const data = await fse.readFile(imagePath)
+
+  return `data:${mime};base64,${data.toString('base64')}`
+}
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #1f2328; background: #f6f8fa; }
+  header { padding: 16px 24px; background: #24292f; color: #fff; }
+  header h1 { margin: 0 0 8px; font-size: 20px; }
+  .summary span { display: inline-block; margin-right: 16px; }
+  .passed { color: #1a7f37; } .failed { color: #cf222e; } .missing, .outdated { color: #9a6700; }
+  header .passed { color: #4ac26b; } header .failed { color: #ff8182; } header .missing, header .outdated { color: #d4a72c; }
+  main { padding: 24px; }
+  section { margin-bottom: 32px; }
+  h2 { font-size: 18px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  .image { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; margin-bottom: 24px; }
+  .image h3 { margin: 0; padding: 8px 16px; font-size: 15px; border-bottom: 1px solid #d0d7de; display: flex; justify-content: space-between; }
+  .tabs { padding: 8px 16px 0; }
+  .tabs button { border: 1px solid #d0d7de; background: #f6f8fa; padding: 4px 12px; border-radius: 6px; cursor: pointer; }
+  .tabs button.active { background: #0969da; color: #fff; border-color: #0969da; }
+  .view { display: none; padding: 16px; overflow: auto; }
+  .view.active { display: block; }
+  .view img { max-width: 100%; display: block; }
+  .columns { display: flex; gap: 16px; }
+  .columns figure { flex: 1; margin: 0; }
+  figcaption { font-weight: 600; margin-bottom: 4px; }
+  .stack { position: relative; display: inline-block; max-width: 100%; }
+  .stack .top { position: absolute; top: 0; left: 0; opacity: 0.5; }
+  .stack .clip { position: absolute; top: 0; left: 0; bottom: 0; overflow: hidden; border-right: 2px solid #cf222e; }
+  .stack .clip img { max-width: none; }
+  input[type=range] { width: 100%; max-width: 480px; display: block; margin-bottom: 8px; }
+  ul.files { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 8px 32px; }
+  .empty { color: #57606a; }
+  .pair, .regions { margin: 0; padding: 8px 16px 0; color: #57606a; }
+`
+
+// Slider and onion skin controls, kept inline so the report works offline
+const SCRIPT = `
+  document.querySelectorAll('.image').forEach(function (image) {
+    // Every image is embedded once, slider and onion skin copy its source
+    image.querySelectorAll('img[data-source]').forEach(function (img) {
+      img.src = image.querySelector('.view-side img.source-' + img.dataset.source).src
+    })
+    image.querySelectorAll('.tabs button').forEach(function (button) {
+      button.addEventListener('click', function () {
+        image.querySelectorAll('.tabs button, .view').forEach(function (el) { el.classList.remove('active') })
+        button.classList.add('active')
+        image.querySelector('.view-' + button.dataset.view).classList.add('active')
+      })
+    })
+    image.querySelectorAll('input[data-control=slider]').forEach(function (input) {
+      var clip = image.querySelector('.clip')
+      var update = function () {
+        clip.style.width = input.value + '%'
+        clip.querySelector('img').style.width = clip.parentNode.clientWidth + 'px'
+      }
+      input.addEventListener('input', update)
+      window.addEventListener('resize', update)
+      update()
+    })
+    image.querySelectorAll('input[data-control=onion]').forEach(function (input) {
+      var top = image.querySelector('.view-onion .top')
+      input.addEventListener('input', function () { top.style.opacity = input.value / 100 })
+    })
+  })
+`
+
+/**
+ * Describes changed region as `x,y WIDTHxHEIGHT`
+ *
+ * @param {Object} region - Region with `x`, `y`, `width`, `height` and `pixels` keys
+ * @returns {String}
+ */
+const regionLabel = region => `${region.x},${region.y} ${sizeLabel(region)} (${region.pixels} px)`
+
+/**
+ * Returns HTML for a single failed image
+ *
+ * @param {Object} image - Failed image result from `compareImages()`
+ * @param {Object} sources - Image sources with `baseline`, `diff` and `new` keys
+ * @returns {String} HTML
+ */
+const failedImageHtml = (image, sources) => {
+  const name = escapeHtml(testedName(image))
+  const img = (src, label, className = '') => src
+    ? `<img class="${className}" src="${src}" alt="${label} ${name}">`
+    : `<p class="empty">${label} image is not available</p>`
+  // Copy of an image from side by side view, its `src` is set by the script
+  const copy = (source, label, className = '') => sources[source]
+    ? `<img class="${className}" data-source="${source}" alt="${label} ${name}">`
+    : `<p class="empty">${label} image is not available</p>`
+  const scoreHtml = image.algorithm && image.algorithm !== 'pixel' && image.score !== null
+    ? `, ${escapeHtml(image.algorithm)} score ${Number(image.score).toFixed(4)}`
+    : ''
+  const difference = image.reason === SIZE_CHANGED
+    ? `${SIZE_CHANGED}: ${sizeLabel(image.baselineSize)} &rarr; ${sizeLabel(image.newSize)}`
+    : `${Number(image.diffPercentage || 0).toFixed(2)}% (${image.diffCount} px)${scoreHtml}${image.sizeChanged ? `, ${SIZE_CHANGED}: ${sizeLabel(image.baselineSize)} &rarr; ${sizeLabel(image.newSize)}` : ''}`
+  const pairHtml = image.pairedBy === 'mapping'
+    ? `<p class="pair">Compared against baseline ${escapeHtml(image.baselineImageName)}</p>`
+    : ''
+  const regions = image.regions || []
+  const regionsHtml = regions.length > 0
+    ? `<p class="regions">Changed regions (${image.regionCount}): ${regions.map(regionLabel).join(', ')}</p>`
+    : ''
+
+  return `
+    <div class="image">
+      <h3><span>${name}</span><span class="failed">${difference}</span></h3>
+      ${pairHtml}
+      ${regionsHtml}
+      <div class="tabs">
+        <button class="active" data-view="side">Side by side</button>
+        <button data-view="diff">Diff</button>
+        <button data-view="slider">Slider</button>
+        <button data-view="onion">Onion skin</button>
+      </div>
+      <div class="view view-side active">
+        <div class="columns">
+          <figure><figcaption>Baseline</figcaption>${img(sources.baseline, 'Baseline', 'source-baseline')}</figure>
+          <figure><figcaption>New</figcaption>${img(sources.new, 'New', 'source-new')}</figure>
+        </div>
+      </div>
+      <div class="view view-diff">${img(sources.diff, 'Diff')}</div>
+      <div class="view view-slider">
+        <input type="range" min="0" max="100" value="50" data-control="slider" aria-label="Baseline / new slider">
+        <div class="stack">
+          ${copy('new', 'New')}
+          <div class="clip">${copy('baseline', 'Baseline')}</div>
+        </div>
+      </div>
+      <div class="view view-onion">
+        <input type="range" min="0" max="100" value="50" data-control="onion" aria-label="New image opacity">
+        <div class="stack">
+          ${copy('baseline', 'Baseline')}
+          ${copy('new', 'New', 'top')}
+        </div>
+      </div>
+    </div>`
+}
+
+/**
+ * Returns HTML list of file names
+ *
+ * @param {Array} files - File names
+ * @param {String} emptyMessage - Message displayed if there are no files
+ * @returns {String} HTML
+ */
+const fileListHtml = (files, emptyMessage) => files.length > 0
+  ? `<ul class="files">${files.map(file => `<li>${escapeHtml(file)}</li>`).join('')}</ul>`
+  : `<p class="empty">${emptyMessage}</p>`
+
+/**
+ * Creates a single, self-contained HTML report from `compareImages()` result.
+ * Report has no external assets, so it can be opened offline or stored as a
+ * CI artifact.
+ *
+ * @param {Object} options - Configuration object
+ * @param {Object} options.result - Result object from `compareImages()`
+ * @param {String} options.path - Path where the report will be saved, including file name
+ * @param {String} [options.title] - Report title
+ * @param {Boolean} [options.embedImages=true] - Embed images into the report.
+ * If `false`, images are linked relative to the report
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Promise} Resolves with path to the saved report
+ *
+ * @example
+ * compareImages({ dirBaseline: './temp/baseline/', dirNew: './temp/new/' })
+ *   .then(result => createHtmlReport({ result, path: './temp/report.html' }))
+ */
+const createHtmlReport = async (options) => {
+  const OPTIONS = {
+    result: null,
+    path: null,
+    title: 'Visual test report',
+    embedImages: true,
+    debug: false,
+    ...options
+  }
+
+  if (OPTIONS.result === null) { throw new Error('Cannot create report without compare result') }
+  if (!OPTIONS.path) { throw new Error('Cannot create report, missing option `path`') }
+
+  const reportPath = path.resolve(OPTIONS.path)
+  const reportDir = path.dirname(reportPath)
+  const { passed = [], failed = [], missing = [], outdated = [], cancelled = [] } = OPTIONS.result
+
+  // Images are read one by one to keep memory usage low
+  const failedHtml = []
+
+  for (const image of failed) {
+    const name = testedName(image)
+
+    failedHtml.push(failedImageHtml(image, {
+      baseline: await imageSource(path.join(image.dirBaseline, image.baselineImageName || name), reportDir, OPTIONS.embedImages),
+      new: await imageSource(path.join(image.dirNew, name), reportDir, OPTIONS.embedImages),
+      diff: await imageSource(image.diffImagePath, reportDir, OPTIONS.embedImages),
+    }))
+  }
+
+  // Cancelled comparison leaves some images without a result
+  const cancelledHtml = cancelled.length > 0
+    ? `<section>
+      <h2 class="outdated">Not compared, comparison was cancelled</h2>
+      ${fileListHtml(cancelled, '')}
+    </section>`
+    : ''
+
+  const title = escapeHtml(OPTIONS.title)
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>${title}</h1>
+    <div class="summary">
+      <span class="passed">Passed: ${passed.length}</span>
+      <span class="failed">Failed: ${failed.length}</span>
+      <span class="missing">Missing in baseline: ${missing.length}</span>
+      <span class="outdated">Outdated in baseline: ${outdated.length}</span>
+      ${cancelled.length > 0 ? `<span class="outdated">Cancelled: ${cancelled.length}</span>` : ''}
+    </div>
+  </header>
+  <main>
+    <section>
+      <h2 class="failed">Failed</h2>
+      ${failedHtml.length > 0 ? failedHtml.join('') : '<p class="empty">No failed images</p>'}
+    </section>
+    <section>
+      <h2 class="missing">Missing in baseline</h2>
+      ${fileListHtml(missing, 'No missing images')}
+    </section>
+    <section>
+      <h2 class="outdated">Outdated in baseline</h2>
+      ${fileListHtml(outdated, 'No outdated images')}
+    </section>
+    ${cancelledHtml}
+    <section>
+      <h2 class="passed">Passed</h2>
+      ${fileListHtml(passed.map(testedName), 'No passed images')}
+    </section>
+  </main>
+  <script>${SCRIPT}</script>
+</body>
+</html>
+`
+
+  await fse.outputFile(reportPath, html)
+
+  log(`HTML report saved to: ${reportPath}`, OPTIONS.debug)
+
+  return reportPath
+}
+
+module.exports = {
+  createHtmlReport,
+}
@@ -0,0 +1,306 @@
+const path = require('path')
+const fse = require('fs-extra')
+const { log, sizeLabel } = require('./helpers')
+const { SIZE_CHANGED } = require('./pixel-diff')
+
+/**
+ * Version of the JSON result schema, see `schema/compare-result.v1.json`.
+ * Increase it on every breaking change of `toJsonResult()` output.
+ */
+const RESULT_SCHEMA_VERSION = 1
+
+/**
+ * Escapes text which is inserted into XML
+ *
+ * @param {String} text - Text to escape
+ * @returns {String} Escaped text
+ */
+const escapeXml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+/**
+ * Returns path to an image or `null` if directory is unknown
+ *
+ * @param {String} dir - Image directory
+ * @param {String} name - Image name
+ * @returns {String|null} Normalized path
+ */
+const imagePath = (dir, name) => dir ? path.normalize(dir + path.sep + name) : null
+
+/**
+ * Describes similarity score of algorithms other than `pixel`
+ *
+ * @param {Object} image - Image entry
+ * @returns {String} Score description or empty string
+ */
+const scoreLabel = image => image.algorithm && image.algorithm !== 'pixel' && image.score !== null
+  ? `, ${image.algorithm} score ${image.score.toFixed(4)}`
+  : ''
+
+/**
+ * Converts `compareImages()` result into a flat list of images with a status
+ *
+ * @param {Object} result - Result object from `compareImages()`
+ * @param {Object} [dirs] - Object with `dirBaseline` and `dirNew` used for
+ * missing and outdated images, which are reported only by name
+ * @returns {Array} Array of image entries
+ */
+const resultEntries = (result, dirs = {}) => {
+  const { passed = [], failed = [], missing = [], outdated = [], cancelled = [] } = result
+
+  const compared = (status) => (image) => {
+    const name = image.testedImageName || image.testedImage
+
+    return {
+      name,
+      status,
+      baselinePath: imagePath(image.dirBaseline, image.baselineImageName || name),
+      newPath: imagePath(image.dirNew, name),
+      diffImagePath: image.diffImagePath || null,
+      flickerImagePath: image.flickerImagePath || null,
+      width: image.width,
+      height: image.height,
+      diffCount: image.diffCount,
+      diffPercentage: image.diffPercentage,
+      tolerance: image.tolerance || null,
+      algorithm: image.algorithm || null,
+      score: typeof image.score === 'number' ? image.score : null,
+      regions: image.regions || null,
+      regionCount: typeof image.regionCount === 'number' ? image.regionCount : null,
+      baselineSize: image.baselineSize || null,
+      newSize: image.newSize || null,
+      reason: image.reason || null,
+      pairedBy: image.pairedBy || null,
+      includePattern: image.includePattern || null,
+    }
+  }
+
+  const notCompared = (status) => (name) => ({
+    name,
+    status,
+    baselinePath: ['outdated', 'cancelled'].includes(status) ? imagePath(dirs.dirBaseline, name) : null,
+    newPath: ['missing', 'cancelled'].includes(status) ? imagePath(dirs.dirNew, name) : null,
+    diffImagePath: null,
+    flickerImagePath: null,
+    width: null,
+    height: null,
+    diffCount: null,
+    diffPercentage: null,
+    tolerance: null,
+    algorithm: null,
+    score: null,
+    regions: null,
+    regionCount: null,
+    baselineSize: null,
+    newSize: null,
+    reason: null,
+    pairedBy: null,
+    includePattern: null,
+  })
+
+  return [
+    ...failed.map(compared('failed')),
+    ...missing.map(notCompared('missing')),
+    ...outdated.map(notCompared('outdated')),
+    ...cancelled.map(notCompared('cancelled')),
+    ...passed.map(compared('passed')),
+  ]
+}
+
+/**
+ * Converts `compareImages()` result into a versioned JSON object
+ *
+ * @param {Object} result - Result object from `compareImages()`
+ * @param {Object} [options] - Configuration object
+ * @param {String} [options.dirBaseline] - Baseline directory, used for paths of outdated images
+ * @param {String} [options.dirNew] - New images directory, used for paths of missing images
+ * @returns {Object} Object with `schemaVersion`, `generatedAt`, `summary` and `images` keys
+ */
+const toJsonResult = (result, options = {}) => {
+  const images = resultEntries(result, options)
+  const count = status => images.filter(image => image.status === status).length
+
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total: images.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      missing: count('missing'),
+      outdated: count('outdated'),
+      cancelled: count('cancelled'),
+    },
+    images,
+  }
+}
+
+/**
+ * Converts `compareImages()` result into JUnit XML. Every image is one
+ * testcase, failed images are reported as failures, while missing and
+ * outdated images are reported as errors or skipped tests. Cancelled images
+ * are always skipped.
+ *
+ * @param {Object} result - Result object from `compareImages()`
+ * @param {Object} [options] - Configuration object
+ * @param {String} [options.suiteName] - Name of the test suite
+ * @param {String} [options.missing=error] - Report missing images as `error` or `skipped`
+ * @param {String} [options.outdated=skipped] - Report outdated images as `error` or `skipped`
+ * @param {String} [options.dirBaseline] - Baseline directory, used for paths of outdated images
+ * @param {String} [options.dirNew] - New images directory, used for paths of missing images
+ * @returns {String} JUnit XML
+ */
+const toJUnitXml = (result, options = {}) => {
+  const OPTIONS = {
+    suiteName: 'Visual tests',
+    missing: 'error',
+    outdated: 'skipped',
+    ...options
+  }
+
+  const json = toJsonResult(result, OPTIONS)
+  const counts = { tests: json.images.length, failures: 0, errors: 0, skipped: 0 }
+
+  const property = (name, value) => value === null || typeof value === 'undefined'
+    ? ''
+    : `\n        <property name="${name}" value="${escapeXml(value)}"/>`
+
+  const testcases = json.images.map(image => {
+    let body = ''
+
+    if (image.status === 'failed') {
+      counts.failures++
+
+      const sizeChanged = image.reason === SIZE_CHANGED
+      const message = sizeChanged
+        ? `Image size changed from ${sizeLabel(image.baselineSize)} to ${sizeLabel(image.newSize)}`
+        : `${Number(image.diffPercentage).toFixed(2)}% of pixels differ (${image.diffCount} px)${scoreLabel(image)}`
+
+      body = `\n      <failure type="${sizeChanged ? 'SizeChanged' : 'VisualDiff'}" message="${escapeXml(message)}">${escapeXml(message)}</failure>`
+    } else if (image.status === 'cancelled') {
+      counts.skipped++
+      body = '\n      <skipped message="Comparison was cancelled"/>'
+    } else if (image.status === 'missing' || image.status === 'outdated') {
+      const message = image.status === 'missing'
+        ? 'Image is missing in baseline directory'
+        : 'Image is present in baseline directory, but not in new directory'
+
+      if (OPTIONS[image.status] === 'skipped') {
+        counts.skipped++
+        body = `\n      <skipped message="${escapeXml(message)}"/>`
+      } else {
+        counts.errors++
+        body = `\n      <error type="${image.status === 'missing' ? 'MissingBaseline' : 'OutdatedBaseline'}" message="${escapeXml(message)}"/>`
+      }
+    }
+
+    const properties = [
+      property('status', image.status),
+      property('baselinePath', image.baselinePath),
+      property('newPath', image.newPath),
+      property('diffImagePath', image.diffImagePath),
+      property('diffCount', image.diffCount),
+      property('diffPercentage', image.diffPercentage),
+      property('algorithm', image.algorithm),
+      property('score', image.score),
+      property('regionCount', image.regionCount),
+      property('pairedBy', image.pairedBy),
+    ].join('')
+
+    // Attachment syntax is understood by Jenkins and GitLab
+    const attachment = image.diffImagePath
+      ? `\n      <system-out>[[ATTACHMENT|${escapeXml(path.resolve(image.diffImagePath))}]]</system-out>`
+      : ''
+
+    return `    <testcase classname="${escapeXml(OPTIONS.suiteName)}" name="${escapeXml(image.name)}">` +
+      `\n      <properties>${properties}\n      </properties>` +
+      body +
+      attachment +
+      '\n    </testcase>'
+  })
+
+  const attributes = `tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}"`
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<testsuites name="${escapeXml(OPTIONS.suiteName)}" ${attributes}>\n` +
+    `  <testsuite name="${escapeXml(OPTIONS.suiteName)}" ${attributes} timestamp="${json.generatedAt}">\n` +
+    testcases.join('\n') + (testcases.length > 0 ? '\n' : '') +
+    '  </testsuite>\n' +
+    '</testsuites>\n'
+}
+
+/**
+ * Saves `compareImages()` result as JUnit XML file
+ *
+ * @param {Object} options - Configuration object, also accepts `toJUnitXml()` options
+ * @param {Object} options.result - Result object from `compareImages()`
+ * @param {String} options.path - Path where the file will be saved, including file name
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Promise} Resolves with path to the saved file
+ *
+ * @example
+ * compareImages({ dirBaseline: './temp/baseline/', dirNew: './temp/new/' })
+ *   .then(result => createJUnitReport({ result, path: './temp/junit.xml' }))
+ */
+const createJUnitReport = async (options) => {
+  const OPTIONS = {
+    result: null,
+    path: null,
+    debug: false,
+    ...options
+  }
+
+  if (OPTIONS.result === null) { throw new Error('Cannot create JUnit report without compare result') }
+  if (!OPTIONS.path) { throw new Error('Cannot create JUnit report, missing option `path`') }
+
+  const reportPath = path.resolve(OPTIONS.path)
+
+  await fse.outputFile(reportPath, toJUnitXml(OPTIONS.result, OPTIONS))
+
+  log(`JUnit report saved to: ${reportPath}`, OPTIONS.debug)
+
+  return reportPath
+}
+
+/**
+ * Saves `compareImages()` result as JSON file, see `toJsonResult()`
+ *
+ * @param {Object} options - Configuration object
+ * @param {Object} options.result - Result object from `compareImages()`
+ * @param {String} options.path - Path where the file will be saved, including file name
+ * @param {String} [options.dirBaseline] - Baseline directory, used for paths of outdated images
+ * @param {String} [options.dirNew] - New images directory, used for paths of missing images
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Promise} Resolves with path to the saved file
+ */
+const createJsonReport = async (options) => {
+  const OPTIONS = {
+    result: null,
+    path: null,
+    debug: false,
+    ...options
+  }
+
+  if (OPTIONS.result === null) { throw new Error('Cannot create JSON report without compare result') }
+  if (!OPTIONS.path) { throw new Error('Cannot create JSON report, missing option `path`') }
+
+  const reportPath = path.resolve(OPTIONS.path)
+
+  await fse.outputFile(reportPath, JSON.stringify(toJsonResult(OPTIONS.result, OPTIONS), null, 2) + '\n')
+
+  log(`JSON report saved to: ${reportPath}`, OPTIONS.debug)
+
+  return reportPath
+}
+
+module.exports = {
+  RESULT_SCHEMA_VERSION,
+  toJsonResult,
+  toJUnitXml,
+  createJUnitReport,
+  createJsonReport,
+}
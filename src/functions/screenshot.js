@@ -1,33 +1,19 @@
 const path = require('path')
 const fse = require('fs-extra')
 const chalk = require('chalk')
-const { firefox, chromium, webkit } = require('playwright')
 const { log } = require('./helpers')
-
-/**
- * Return one of 3 supported browser engines. Function is used internally in
- * `screenshot()` function.
- *
- * @param {String} engine - Accepts `chromium`, `webkit` or defaults to `firefox`
- * @returns {Promise} Initialized browser
- */
-
-const browserEngine = (engine) => {
-  return new Promise((resolve, reject) => {
-    switch (engine) {
-      case 'chromium':
-        resolve(chromium.launch())
-        break
-      case 'webkit':
-        resolve(webkit.launch())
-        break
-      case 'firefox':
-      default:
-        resolve(firefox.launch())
-        break
-    }
-  })
-}
+const { browserEngine } = require('./browser-pool')
+const {
+  stabilizeContext,
+  freezeContext,
+  waitForStablePage,
+  stabilizeCaptureOptions,
+} = require('./stabilize')
+const { networkContextOptions, setupNetwork } = require('./network')
+const { authContextOptions, addCookies } = require('./auth')
+const { resolveEmulation, emulationContextOptions } = require('./emulation')
+const { guard, abortError } = require('./cancel')
+const { clicksToActions, validateActions, performActions } = require('./actions')
 
 /**
  * Returns supported file types based on file name
@@ -52,24 +38,90 @@ const imageType = (name) => {
  * @param {Object} options - Object which accepts parameters required to
  * create a screenshot.
  * @param {String} options.goto - URL for the page where screenshot will be performed
- * @param {Number} options.width - Browser window width
- * @param {Number} options.height - Browser window height
+ * @param {String} options.engine - `firefox`, `chromium` or `webkit`. Defaults
+ * to the default browser of `device`, otherwise to `firefox`
+ * @param {Number} options.width - Browser window width, defaults to `device` viewport or 800
+ * @param {Number} options.height - Browser window height, defaults to `device` viewport or 600
+ * @param {String} options.device - (optional) Name of Playwright device
+ * descriptor, e.g. `iPhone 13`. Options set directly take precedence
+ * @param {Number} options.deviceScaleFactor - (optional) Device pixel ratio
+ * @param {Boolean} options.isMobile - (optional) Use mobile meta viewport, not supported in Firefox
+ * @param {Boolean} options.hasTouch - (optional) Enable touch events
+ * @param {String} options.userAgent - (optional) User agent
+ * @param {String} options.locale - (optional) Locale, e.g. `en-US`
+ * @param {String} options.timezoneId - (optional) Timezone, e.g. `Europe/Berlin`
+ * @param {String} options.colorScheme - (optional) `light`, `dark` or `no-preference`
+ * @param {String} options.reducedMotion - (optional) `reduce` or `no-preference`
  * @param {String} options.path - (optional) Directory where screenshot should be saved.
  * @param {String} options.name - (optional) File name with `.png` or `.jpg` extension
  * @param {Boolean} options.fullPage - Sets if we are creating full page screenshot
- * @param {Array} options.clicks - Array of objects where clicks are performed. See `performClicks()`
+ * @param {Array} options.clicks - Array of objects where clicks are performed.
+ * Clicks are converted to `click` actions and performed before `actions`
+ * @param {Array} options.actions - Ordered array of action steps such as
+ * `click`, `fill`, `hover` or `press`. See `performActions()`
  * @param {String} options.el - selector of an element whose screenshot should
  * be taken. If left empty, regular page screenshot should be performed
+ * @param {Array} options.mask - Selectors of elements which are painted over
+ * with `maskColor`, e.g. timestamps, ads or avatars
+ * @param {String} options.maskColor - CSS color of masked elements
+ * @param {Array} options.hide - Selectors of elements which are hidden before
+ * capture. Hidden elements keep their place in the layout
+ * @param {Boolean} options.disableAnimations - Stop CSS animations and transitions
+ * @param {Boolean} options.hideCaret - Hide blinking text caret
+ * @param {String} options.style - (optional) Custom stylesheet text injected into the page
+ * @param {String} options.styleFile - (optional) Path to custom stylesheet file injected into the page
+ * @param {Boolean} options.waitForFonts - Wait for `document.fonts.ready` before capture
+ * @param {String|Number|Date} options.clock - (optional) Freeze `Date` and
+ * timers at this instant. Timer callbacks don't fire while the clock is frozen
+ * @param {Number} options.randomSeed - (optional) Seed for `Math.random`, so
+ * the same sequence of random numbers is generated on every run
+ * @param {String} options.network - `live` loads pages from the network,
+ * `record` saves all traffic to a HAR file and `replay` serves responses from
+ * that HAR file and blocks requests which were not recorded
+ * @param {String} options.harPath - (optional) Path to HAR file. Defaults to
+ * `harDir` or the screenshot `path`, and `name` with `.har` extension
+ * @param {String} options.harDir - (optional) Directory of HAR files, e.g.
+ * the baseline directory, so HAR files are kept with baseline images
+ * @param {Array} options.routes - Route rules which block URL patterns or stub
+ * them with local fixture files. See `setupNetwork()`
+ * @param {String|Object} options.storageState - (optional) Path to Playwright
+ * storage state file or storage state object with cookies and local storage
+ * @param {Array} options.cookies - (optional) Cookies added to the context
+ * before the page is opened, see Playwright `context.addCookies()`
+ * @param {Object} options.extraHTTPHeaders - (optional) Headers sent with every request
+ * @param {Object} options.httpCredentials - (optional) Object with `username`
+ * and `password` for HTTP authentication
+ * @param {Number} options.stepTimeout - (optional) Milliseconds each action
+ * step, selector wait and capture may take. Steps can override it with `timeout`
+ * @param {Number} options.navigationTimeout - (optional) Milliseconds page navigation may take
+ * @param {Number} options.timeout - (optional) Milliseconds the whole screenshot
+ * may take. When exceeded, the browser is closed and the promise rejects with
+ * Playwright's `TimeoutError`
+ * @param {AbortSignal} options.signal - (optional) Cancels the screenshot. The
+ * browser is closed and the promise rejects with an error named `AbortError`
+ * @param {Object} options.browser - (optional) Already launched browser. When
+ * set, screenshot is created in a new context of that browser and the browser
+ * is left open. Otherwise a new browser is launched and closed afterwards
  * @param {Boolean} options.debug - If `true`, outputs additional messages
  *
- * @return {Promise} object - with `msg` and `binary` values
+ * @return {Promise} object - with `msg`, `binary` and `emulation` values.
+ * `emulation` describes conditions of the capture, see `resolveEmulation()`
  */
 const screenshot = async (options) => {
   const OPTIONS = {
     goto: 'http://localhost',
-    engine: 'firefox', // 'firefox', 'chromium', 'webkit'
-    width: 800,
-    height: 600,
+    engine: null, // 'firefox', 'chromium', 'webkit', defaults to device browser or 'firefox'
+    width: null, // Defaults to device viewport or 800
+    height: null, // Defaults to device viewport or 600
+    device: null, // Playwright device descriptor, e.g. 'iPhone 13'
+    deviceScaleFactor: null,
+    isMobile: null,
+    hasTouch: null,
+    userAgent: null,
+    locale: null, // e.g. 'en-US'
+    timezoneId: null, // e.g. 'Europe/Berlin'
+    colorScheme: null, // 'light', 'dark' or 'no-preference'
+    reducedMotion: null, // 'reduce' or 'no-preference'
     path: null,
     name: null,
     fullPage: true,
@@ -80,157 +132,237 @@ const screenshot = async (options) => {
       //  button: 'left', // optional
       // },
     ],
+    actions: [
+      // {
+      //  type: 'fill', // 'click', 'dblclick', 'hover', 'fill', 'press', 'select',
+      //                // 'check', 'scroll', 'focus', 'waitForSelector', 'wait'
+      //  selector: '.js-search-input',
+      //  value: 'zoning',
+      //  waitAfter: 300, // optional
+      // },
+    ],
     el: null, // Element selector we want to make screenshot of
+    mask: [], // Selectors of elements painted over with `maskColor`
+    maskColor: '#FF00FF',
+    hide: [], // Selectors of elements hidden with `visibility: hidden`
+    disableAnimations: false, // Stop CSS animations and transitions
+    hideCaret: true, // Hide blinking text caret
+    style: null, // Custom stylesheet text
+    styleFile: null, // Path to custom stylesheet file
+    waitForFonts: true, // Wait for `document.fonts.ready` before capture
+    clock: null, // Freeze `Date` and timers at this instant, e.g. '2024-01-01T12:00:00Z'
+    randomSeed: null, // Seed for `Math.random`
+    network: 'live', // 'live', 'record' or 'replay'
+    harPath: null, // HAR file, defaults to `harDir` or screenshot path, and name with `.har` extension
+    harDir: null, // Directory of HAR files, e.g. './temp/baseline/'
+    routes: [
+      // { url: '**/analytics/**', action: 'block' },
+      // { url: '**/api/news', fulfill: './fixtures/news.json', contentType: 'application/json' },
+    ],
+    storageState: null, // Storage state file or object, e.g. './temp/auth.json'
+    cookies: [
+      // { name: 'session', value: 'abc', url: 'http://localhost' },
+    ],
+    extraHTTPHeaders: null, // e.g. { Authorization: 'Bearer token' }
+    httpCredentials: null, // e.g. { username: 'user', password: 'secret' }
+    stepTimeout: null, // Max ms for each action step, selector and capture
+    navigationTimeout: null, // Max ms for page navigation
+    timeout: null, // Max ms for the whole screenshot
+    signal: null, // AbortSignal which cancels the screenshot
+    browser: null, // Already launched browser, e.g. from a browser pool
     debug: false,
     ...options
   }
 
+  // Clicks are kept for backwards compatibility and are performed first
+  const actions = validateActions([
+    ...clicksToActions(OPTIONS.clicks || []),
+    ...(OPTIONS.actions || []),
+  ])
+
+  // Device, viewport, locale and other conditions of the capture
+  const emulation = resolveEmulation(OPTIONS)
+
   // Messages
   const MESSAGE = {
-    start: `Generating screenshot ${chalk.magenta(OPTIONS.name)} in ${chalk.green(OPTIONS.engine)} browser`,
+    start: `Generating screenshot ${chalk.magenta(OPTIONS.name)} in ${chalk.green(emulation.engine)} browser` +
+      (emulation.device ? ` as ${chalk.green(emulation.device)}` : ''),
     created: `Saved to: ${chalk.blue(path.normalize(OPTIONS.path + path.sep + OPTIONS.name))}`,
     createdClean: `Saved to: ${path.normalize(OPTIONS.path + path.sep + OPTIONS.name)}`,
-    click (element) {
-      return `${element.button || 'left'} click on ` +
-        chalk.cyan(element.selector) +
-        (
-          'waitAfter' in element
-            ? chalk.magenta(` [wait ${element.waitAfter}ms]`)
-            : ''
-        )
-    },
   }
 
-  const browser = await browserEngine(OPTIONS.engine)
+  // Shared browser is only borrowed, so we close just our own context
+  const ownBrowser = OPTIONS.browser === null
+  let browser = OPTIONS.browser
+  let context = null
+  let page = null
+  let stopped = false
+
+  // Context is always closed first, which saves recorded HAR file. Capture
+  // settles only after closing, so the file exists once it resolves
+  const close = async () => {
+    if (context !== null) { await context.close().catch(() => {}) }
+    if (ownBrowser && browser !== null) { await browser.close().catch(() => {}) }
+  }
 
-  log(MESSAGE.start, OPTIONS.debug)
+  // Browser or context which was opened after the screenshot was stopped is
+  // closed right away
+  const checkStopped = async () => {
+    if (stopped) {
+      await close()
+      throw abortError(`Screenshot ${OPTIONS.name} was stopped`)
+    }
+  }
 
-  const page = await browser.newPage()
+  const capture = async () => {
+    if (ownBrowser) {
+      browser = await browserEngine(emulation.engine)
+      await checkStopped()
+    }
 
-  // Set up the page dimensions
-  await page.setViewportSize({
-    width: OPTIONS.width,
-    height: OPTIONS.height,
-  })
+    log(MESSAGE.start, OPTIONS.debug)
 
-  await page.goto(OPTIONS.goto, { waitUntil: 'networkidle' })
-  await page.waitForLoadState('networkidle')
+    try {
+      // Every screenshot gets a fresh context, so cookies, storage and cache
+      // are never shared between tasks
+      context = await browser.newContext({
+        ...emulationContextOptions(emulation),
+        ...authContextOptions(OPTIONS),
+        ...networkContextOptions(OPTIONS),
+      })
 
-  // Perform clicks
-  if (OPTIONS.clicks.length > 0) {
-    let currentClick = 0
+      await checkStopped()
 
-    const pageClicks = async () => {
-      await page.waitForLoadState('networkidle')
-      await page.waitForSelector(OPTIONS.clicks[currentClick].selector)
-      log(MESSAGE.click(OPTIONS.clicks[currentClick]), OPTIONS.debug)
+      // Playwright waits up to these limits for selectors and navigation
+      if (OPTIONS.stepTimeout !== null) { context.setDefaultTimeout(OPTIONS.stepTimeout) }
+      if (OPTIONS.navigationTimeout !== null) { context.setDefaultNavigationTimeout(OPTIONS.navigationTimeout) }
 
-      await page.click(
-        OPTIONS.clicks[currentClick].selector,
-        { button: OPTIONS.clicks[currentClick].button || 'left' }
-      )
+      await addCookies(context, OPTIONS)
+      await setupNetwork(context, OPTIONS)
+      await freezeContext(context, OPTIONS)
+      await stabilizeContext(context, OPTIONS)
 
-      if (
-        'waitAfter' in OPTIONS.clicks[currentClick] &&
-        OPTIONS.clicks[currentClick].waitAfter > 0
-      ) {
-        await page.waitForLoadState('networkidle')
-        await page.waitForTimeout(OPTIONS.clicks[currentClick].waitAfter)
-      }
+      page = await context.newPage()
 
-      currentClick++
+      await page.goto(OPTIONS.goto, { waitUntil: 'networkidle' })
+      await page.waitForLoadState('networkidle')
 
-      if (currentClick < OPTIONS.clicks.length) { await pageClicks() }
+      // Perform actions
+      if (actions.length > 0) {
+        await performActions(page, actions, OPTIONS.debug)
 
-      return page
-    }
+        // If we have decided to save screenshot, ensure that the
+        // requested path exists or make it instead
+        if (OPTIONS.path) { fse.ensureDir(path.normalize(OPTIONS.path)) }
+      }
 
-    await pageClicks()
+      // Hide elements which change on every run
+      if (OPTIONS.hide.length > 0) {
+        await page.addStyleTag({
+          content: `${OPTIONS.hide.join(', ')} { visibility: hidden !important; }`
+        })
+      }
 
-    // If we have decided to save screenshot, ensure that the
-    // requested path exists or make it instead
-    if (OPTIONS.path) { fse.ensureDir(path.normalize(OPTIONS.path)) }
-  }
+      await waitForStablePage(page, OPTIONS)
+    } catch (error) {
+      await close()
+      throw error
+    }
 
-  return new Promise((resolve, reject) => {
-    if (OPTIONS.el === null) {
-      page.screenshot(
-        OPTIONS.path !== null
+    const captureOptions = {
+      fullPage: OPTIONS.fullPage,
+      ...stabilizeCaptureOptions(OPTIONS),
+      ...(OPTIONS.path !== null ? { path: OPTIONS.path + path.sep + OPTIONS.name } : {}),
+      ...(
+        OPTIONS.mask.length > 0
           ? {
-              path: OPTIONS.path + path.sep + OPTIONS.name,
-              fullPage: OPTIONS.fullPage
+              mask: OPTIONS.mask.map(selector => page.locator(selector)),
+              maskColor: OPTIONS.maskColor,
             }
-          : { fullPage: OPTIONS.fullPage }
-      )
-        .then((image) => {
-          browser.close()
-
-          if (OPTIONS.path) {
-            log(MESSAGE.created, OPTIONS.debug)
-
-            resolve({
-              msg: MESSAGE.createdClean,
-              name: OPTIONS.name,
-              path: OPTIONS.path,
-              el: OPTIONS.el,
-              binary: image
-            })
-          } else {
-            resolve({
-              msg: MESSAGE.createdClean,
-              name: OPTIONS.name,
-              path: OPTIONS.path,
-              el: OPTIONS.el,
-              binary: image
-            })
-          }
-        })
-        .catch(error => {
-          browser.close()
-          reject(error)
-        })
-    } else {
-      // Create element screenshot
-      page.waitForSelector(OPTIONS.el)
-        .then((element) => {
-          element.screenshot(
-            OPTIONS.path !== null
-              ? {
-                  path: OPTIONS.path + path.sep + OPTIONS.name,
-                  fullPage: OPTIONS.fullPage
-                }
-              : { fullPage: OPTIONS.fullPage }
-          )
-            .then((image) => {
-              browser.close()
-
-              if (OPTIONS.path) {
-                log(MESSAGE.created, OPTIONS.debug)
-
-                resolve({
-                  msg: MESSAGE.createdClean,
-                  name: OPTIONS.name,
-                  path: OPTIONS.path,
-                  el: OPTIONS.el,
-                  binary: image
-                })
-              } else {
-                resolve({
-                  msg: MESSAGE.createdClean,
-                  name: OPTIONS.name,
-                  path: OPTIONS.path,
-                  el: OPTIONS.el,
-                  binary: image
-                })
-              }
-            })
-            .catch(error => {
-              browser.close()
-              reject(error)
-            })
-        })
-        .catch(error => { reject(error) })
+          : {}
+      ),
     }
+
+    return new Promise((resolve, reject) => {
+      if (OPTIONS.el === null) {
+        page.screenshot(captureOptions)
+          .then(image => close().then(() => image))
+          .then((image) => {
+            if (OPTIONS.path) {
+              log(MESSAGE.created, OPTIONS.debug)
+
+              resolve({
+                msg: MESSAGE.createdClean,
+                name: OPTIONS.name,
+                path: OPTIONS.path,
+                el: OPTIONS.el,
+                emulation,
+                binary: image
+              })
+            } else {
+              resolve({
+                msg: MESSAGE.createdClean,
+                name: OPTIONS.name,
+                path: OPTIONS.path,
+                el: OPTIONS.el,
+                emulation,
+                binary: image
+              })
+            }
+          })
+          .catch(error => {
+            close().then(() => reject(error))
+          })
+      } else {
+        // Create element screenshot
+        page.waitForSelector(OPTIONS.el)
+          .then((element) => {
+            element.screenshot(captureOptions)
+              .then(image => close().then(() => image))
+              .then((image) => {
+                if (OPTIONS.path) {
+                  log(MESSAGE.created, OPTIONS.debug)
+
+                  resolve({
+                    msg: MESSAGE.createdClean,
+                    name: OPTIONS.name,
+                    path: OPTIONS.path,
+                    el: OPTIONS.el,
+                    emulation,
+                    binary: image
+                  })
+                } else {
+                  resolve({
+                    msg: MESSAGE.createdClean,
+                    name: OPTIONS.name,
+                    path: OPTIONS.path,
+                    el: OPTIONS.el,
+                    emulation,
+                    binary: image
+                  })
+                }
+              })
+              .catch(error => {
+                close().then(() => reject(error))
+              })
+          })
+          .catch(error => {
+            close().then(() => reject(error))
+          })
+      }
+    })
+  }
+
+  // Task timeout and abort signal stop the whole capture and close the browser
+  return guard(capture, {
+    signal: OPTIONS.signal,
+    timeout: OPTIONS.timeout,
+    name: `Screenshot ${OPTIONS.name}`,
+    onStop: () => {
+      stopped = true
+
+      return close()
+    },
   })
 }
 
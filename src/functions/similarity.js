@@ -0,0 +1,306 @@
+/**
+ * Size of square blocks in which SSIM is computed
+ */
+const SSIM_BLOCK_SIZE = 8
+
+/**
+ * SSIM stabilizing constants for 8-bit images
+ */
+const SSIM_C1 = Math.pow(0.01 * 255, 2)
+const SSIM_C2 = Math.pow(0.03 * 255, 2)
+
+/**
+ * Smallest color distance (CIE76 delta E) noticed by human eye
+ */
+const JUST_NOTICEABLE_DIFFERENCE = 2.3
+
+/**
+ * Converts RGBA image into RGB values blended on white background
+ *
+ * @param {Object} image - Object with `width`, `height` and RGBA `data` keys
+ * @returns {Float32Array} RGB values
+ */
+const flatten = (image) => {
+  const pixels = image.width * image.height
+  const rgb = new Float32Array(pixels * 3)
+
+  for (let i = 0; i < pixels; i++) {
+    const alpha = image.data[i * 4 + 3] / 255
+
+    for (let c = 0; c < 3; c++) {
+      rgb[i * 3 + c] = 255 + (image.data[i * 4 + c] - 255) * alpha
+    }
+  }
+
+  return rgb
+}
+
+/**
+ * Returns brightness of every pixel
+ *
+ * @param {Float32Array} rgb - RGB values from `flatten()`
+ * @returns {Float32Array} Luma values from 0 to 255
+ */
+const luma = (rgb) => {
+  const values = new Float32Array(rgb.length / 3)
+
+  for (let i = 0; i < values.length; i++) {
+    values[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2]
+  }
+
+  return values
+}
+
+/**
+ * Creates faded grayscale copy of an image, used as background of diff images
+ *
+ * @param {Float32Array} values - Luma values from `luma()`
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @returns {Object} Object with `width`, `height` and RGBA `data` keys
+ */
+const fadedImage = (values, width, height) => {
+  const data = new Uint8Array(width * height * 4)
+
+  for (let i = 0; i < values.length; i++) {
+    const gray = Math.round(255 + (values[i] - 255) * 0.1)
+
+    data.set([gray, gray, gray, 255], i * 4)
+  }
+
+  return { width, height, data }
+}
+
+/**
+ * Blends color over a pixel
+ *
+ * @param {Uint8Array} data - RGBA data
+ * @param {Number} index - Pixel index
+ * @param {Array} color - `[r, g, b]` color
+ * @param {Number} alpha - Opacity of the color from 0 to 1
+ */
+const blend = (data, index, color, alpha) => {
+  for (let c = 0; c < 3; c++) {
+    data[index * 4 + c] = Math.round(data[index * 4 + c] * (1 - alpha) + color[c] * alpha)
+  }
+}
+
+/**
+ * Compares structural similarity (SSIM) of two images of the same size. SSIM
+ * is computed in blocks of 8x8 pixels, score is the mean SSIM of all blocks.
+ * Pixels of blocks with SSIM below `minScore` are counted as different.
+ *
+ * @param {Object} baseline - Object with `width`, `height` and RGBA `data` keys
+ * @param {Object} current - Image of the same size as baseline
+ * @param {Object} [options] - Configuration object
+ * @param {Uint8Array} [options.mask] - Mask of ignored pixels, which are not counted
+ * @param {Number} [options.minScore=1] - SSIM of a block below which its pixels are different
+ * @returns {Object} Object with `diffCount`, `score`, `diff` image, which
+ * is a heatmap of dissimilarity of each block, and `diffMask` of different pixels
+ */
+const ssimDiff = (baseline, current, options = {}) => {
+  const { width, height } = baseline
+  const mask = options.mask || new Uint8Array(width * height)
+  const minScore = typeof options.minScore === 'number' ? options.minScore : 1
+  const x = luma(flatten(baseline))
+  const y = luma(flatten(current))
+  const diff = fadedImage(y, width, height)
+  const diffMask = new Uint8Array(width * height)
+  let diffCount = 0
+  let total = 0
+  let blocks = 0
+
+  for (let top = 0; top < height; top += SSIM_BLOCK_SIZE) {
+    for (let left = 0; left < width; left += SSIM_BLOCK_SIZE) {
+      const bottom = Math.min(height, top + SSIM_BLOCK_SIZE)
+      const right = Math.min(width, left + SSIM_BLOCK_SIZE)
+      const indexes = []
+
+      for (let row = top; row < bottom; row++) {
+        for (let col = left; col < right; col++) { indexes.push(row * width + col) }
+      }
+
+      const compared = indexes.filter(i => mask[i] === 0)
+
+      // Blocks which are completely ignored are left out of the score
+      if (compared.length === 0) { continue }
+
+      let meanX = 0
+      let meanY = 0
+
+      indexes.forEach(i => { meanX += x[i]; meanY += y[i] })
+      meanX /= indexes.length
+      meanY /= indexes.length
+
+      let varianceX = 0
+      let varianceY = 0
+      let covariance = 0
+
+      indexes.forEach(i => {
+        varianceX += Math.pow(x[i] - meanX, 2)
+        varianceY += Math.pow(y[i] - meanY, 2)
+        covariance += (x[i] - meanX) * (y[i] - meanY)
+      })
+      varianceX /= indexes.length
+      varianceY /= indexes.length
+      covariance /= indexes.length
+
+      const ssim = ((2 * meanX * meanY + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanX * meanX + meanY * meanY + SSIM_C1) * (varianceX + varianceY + SSIM_C2))
+      const dissimilarity = Math.min(1, Math.max(0, 1 - ssim))
+
+      total += ssim
+      blocks++
+
+      if (ssim < minScore) {
+        diffCount += compared.length
+        compared.forEach(i => { diffMask[i] = 1 })
+      }
+
+      // Heatmap goes from yellow for small changes to red for large ones
+      if (dissimilarity > 1e-6) {
+        const intensity = Math.sqrt(dissimilarity)
+
+        compared.forEach(i => blend(diff.data, i, [255, Math.round(220 * (1 - intensity)), 0], 0.2 + 0.6 * intensity))
+      }
+    }
+  }
+
+  return {
+    diffCount,
+    score: blocks > 0 ? total / blocks : 1,
+    diff,
+    diffMask,
+  }
+}
+
+/**
+ * Converts RGB values into CIE L*a*b* color space
+ *
+ * @param {Float32Array} rgb - RGB values from `flatten()`
+ * @returns {Float32Array} Lab values
+ */
+const toLab = (rgb) => {
+  const lab = new Float32Array(rgb.length)
+  const linear = value => {
+    const v = value / 255
+
+    return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92
+  }
+  const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116
+
+  for (let i = 0; i < rgb.length; i += 3) {
+    const r = linear(rgb[i])
+    const g = linear(rgb[i + 1])
+    const b = linear(rgb[i + 2])
+    // D65 white point
+    const fx = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047)
+    const fy = f(0.2126 * r + 0.7152 * g + 0.0722 * b)
+    const fz = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883)
+
+    lab[i] = 116 * fy - 16
+    lab[i + 1] = 500 * (fx - fy)
+    lab[i + 2] = 200 * (fy - fz)
+  }
+
+  return lab
+}
+
+/**
+ * Blurs RGB values with 3x3 box filter, which hides sub-pixel differences
+ * of font rendering
+ *
+ * @param {Float32Array} rgb - RGB values from `flatten()`
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @returns {Float32Array} Blurred RGB values
+ */
+const blur = (rgb, width, height) => {
+  const blurred = new Float32Array(rgb.length)
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const sum = [0, 0, 0]
+      let count = 0
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const y = row + dy
+          const x = col + dx
+
+          if (y >= 0 && y < height && x >= 0 && x < width) {
+            const i = (y * width + x) * 3
+
+            sum[0] += rgb[i]
+            sum[1] += rgb[i + 1]
+            sum[2] += rgb[i + 2]
+            count++
+          }
+        }
+      }
+
+      const i = (row * width + col) * 3
+
+      blurred[i] = sum[0] / count
+      blurred[i + 1] = sum[1] / count
+      blurred[i + 2] = sum[2] / count
+    }
+  }
+
+  return blurred
+}
+
+/**
+ * Compares two images of the same size as people see them. Images are
+ * slightly blurred and pixels whose color distance is noticeable by human eye
+ * are counted as different. Score is the share of pixels which look the same.
+ *
+ * @param {Object} baseline - Object with `width`, `height` and RGBA `data` keys
+ * @param {Object} current - Image of the same size as baseline
+ * @param {Object} [options] - Configuration object
+ * @param {Uint8Array} [options.mask] - Mask of ignored pixels, which are not counted
+ * @returns {Object} Object with `diffCount`, `score`, `diff` image and
+ * `diffMask` of different pixels
+ */
+const perceptualDiff = (baseline, current, options = {}) => {
+  const { width, height } = baseline
+  const mask = options.mask || new Uint8Array(width * height)
+  const rgbBaseline = flatten(baseline)
+  const rgbCurrent = flatten(current)
+  const x = toLab(blur(rgbBaseline, width, height))
+  const y = toLab(blur(rgbCurrent, width, height))
+  const diff = fadedImage(luma(rgbCurrent), width, height)
+  const diffMask = new Uint8Array(width * height)
+  let diffCount = 0
+  let compared = 0
+
+  for (let i = 0; i < width * height; i++) {
+    if (mask[i] === 1) { continue }
+
+    const distance = Math.sqrt(
+      Math.pow(x[i * 3] - y[i * 3], 2) +
+      Math.pow(x[i * 3 + 1] - y[i * 3 + 1], 2) +
+      Math.pow(x[i * 3 + 2] - y[i * 3 + 2], 2)
+    )
+
+    compared++
+
+    if (distance > JUST_NOTICEABLE_DIFFERENCE) {
+      diffCount++
+      diffMask[i] = 1
+      blend(diff.data, i, [255, 0, 0], 1)
+    }
+  }
+
+  return {
+    diffCount,
+    score: compared > 0 ? 1 - diffCount / compared : 1,
+    diff,
+    diffMask,
+  }
+}
+
+module.exports = {
+  ssimDiff,
+  perceptualDiff,
+}
@@ -0,0 +1,172 @@
+const fse = require('fs-extra')
+
+/**
+ * Stops CSS animations and transitions, so elements are captured in their
+ * final state
+ */
+const ANIMATIONS_CSS = `
+*, *::before, *::after {
+  animation-duration: 0s !important;
+  animation-delay: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition-duration: 0s !important;
+  transition-delay: 0s !important;
+  scroll-behavior: auto !important;
+}
+`
+
+/**
+ * Hides blinking text caret in inputs and editable elements
+ */
+const CARET_CSS = `
+*, *::before, *::after {
+  caret-color: transparent !important;
+}
+`
+
+/**
+ * Returns stylesheet which is injected into every page of the context
+ *
+ * @param {Object} options - Screenshot options
+ * @param {Boolean} [options.disableAnimations] - Stop CSS animations and transitions
+ * @param {Boolean} [options.hideCaret] - Hide text caret
+ * @param {String} [options.style] - Custom stylesheet text
+ * @param {String} [options.styleFile] - Path to custom stylesheet file
+ * @returns {Promise} Resolves with stylesheet text, empty if nothing is injected
+ */
+const stabilizeCss = async (options) => {
+  const css = []
+
+  if (options.disableAnimations) { css.push(ANIMATIONS_CSS) }
+  if (options.hideCaret) { css.push(CARET_CSS) }
+  if (options.style) { css.push(options.style) }
+
+  if (options.styleFile) {
+    if (!(await fse.pathExists(options.styleFile))) {
+      throw new Error(`Stylesheet file ${options.styleFile} does not exist`)
+    }
+
+    css.push(await fse.readFile(options.styleFile, 'utf8'))
+  }
+
+  return css.join('\n')
+}
+
+/**
+ * Injects stabilizing stylesheet into every page opened in the context,
+ * including pages reached by navigation during actions
+ *
+ * @param {Object} context - Browser context
+ * @param {Object} options - Screenshot options, see `stabilizeCss()`
+ * @returns {Promise} Resolves when init script is added
+ */
+const stabilizeContext = async (context, options) => {
+  const css = await stabilizeCss(options)
+
+  if (css === '') { return }
+
+  await context.addInitScript((stylesheet) => {
+    const inject = () => {
+      const style = document.createElement('style')
+      const parent = document.head || document.documentElement
+
+      style.setAttribute('data-oll-visual-tester', '')
+      style.textContent = stylesheet
+      parent.appendChild(style)
+    }
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', inject)
+    } else {
+      inject()
+    }
+  }, css)
+}
+
+/**
+ * Returns timestamp of fixed clock instant
+ *
+ * @param {String|Number|Date} time - ISO date string, timestamp or Date
+ * @returns {Number} Timestamp in milliseconds
+ */
+const clockTimestamp = (time) => {
+  const timestamp = new Date(time).getTime()
+
+  if (!Number.isFinite(timestamp)) { throw new Error(`Invalid clock time: ${time}`) }
+
+  return timestamp
+}
+
+/**
+ * Makes pages of the context deterministic. Both are set up with init
+ * scripts, so they are active before the first page script runs.
+ *
+ * @param {Object} context - Browser context
+ * @param {Object} options - Screenshot options
+ * @param {String|Number|Date} [options.clock] - Freeze `Date` and timers at this instant
+ * @param {Number} [options.randomSeed] - Seed for `Math.random`
+ * @returns {Promise} Resolves when init scripts are added
+ */
+const freezeContext = async (context, options) => {
+  if (options.clock !== null && typeof options.clock !== 'undefined') {
+    const time = clockTimestamp(options.clock)
+
+    // Timers don't fire while the clock is paused
+    await context.clock.install({ time })
+    await context.clock.pauseAt(time)
+  }
+
+  if (options.randomSeed !== null && typeof options.randomSeed !== 'undefined') {
+    if (!Number.isFinite(Number(options.randomSeed))) {
+      throw new Error(`Invalid random seed: ${options.randomSeed}`)
+    }
+
+    // Mulberry32 generator, same seed always gives the same sequence
+    await context.addInitScript((seed) => {
+      let state = seed >>> 0
+
+      Math.random = () => {
+        state = (state + 0x6D2B79F5) >>> 0
+
+        let t = state
+
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+      }
+    }, Number(options.randomSeed))
+  }
+}
+
+/**
+ * Waits until page is ready for capture
+ *
+ * @param {Object} page - Initialized browser page
+ * @param {Object} options - Screenshot options
+ * @param {Boolean} [options.waitForFonts] - Wait for `document.fonts.ready`
+ * @returns {Promise} Resolves when page is ready
+ */
+const waitForStablePage = async (page, options) => {
+  if (options.waitForFonts) {
+    await page.evaluate(() => document.fonts.ready.then(() => true))
+  }
+}
+
+/**
+ * Returns Playwright screenshot options which match stabilizing settings
+ *
+ * @param {Object} options - Screenshot options
+ * @returns {Object} Object with `animations` and `caret` keys
+ */
+const stabilizeCaptureOptions = (options) => ({
+  animations: options.disableAnimations ? 'disabled' : 'allow',
+  caret: options.hideCaret ? 'hide' : 'initial',
+})
+
+module.exports = {
+  stabilizeContext,
+  freezeContext,
+  waitForStablePage,
+  stabilizeCaptureOptions,
+}
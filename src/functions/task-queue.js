@@ -0,0 +1,107 @@
+/**
+ * Runs tasks with limited concurrency. A new task starts as soon as any
+ * running task is done, so one slow task doesn't hold back the others.
+ *
+ * @param {Object} options - Configuration object
+ * @param {Array} options.items - Items passed to the worker one by one
+ * @param {Function} options.worker - Function which receives an item and its
+ * index and returns a promise
+ * @param {Number} [options.concurrency=1] - Max number of tasks running at the same time
+ * @param {Function} [options.canStart] - Called with the number of running
+ * tasks before another task is started. If it returns `false`, the queue waits
+ * and asks again. The first task always starts
+ * @param {Number} [options.retryInterval=500] - Milliseconds before `canStart` is asked again
+ * @param {Function} [options.onProgress] - Called with `{ done, total, running,
+ * result, index }` after every task, where `result` is what the worker returned
+ * for item at `index`
+ * @returns {Promise} Resolves with results in order of items. Rejects with the
+ * first error of a worker, in that case no other task is started
+ *
+ * @example
+ * runQueue({
+ *   items: configs,
+ *   worker: config => screenshot(config),
+ *   concurrency: 4,
+ * })
+ */
+const runQueue = (options) => {
+  const OPTIONS = {
+    items: [],
+    worker: null,
+    concurrency: 1,
+    canStart: () => true,
+    retryInterval: 500,
+    onProgress: () => {},
+    ...options
+  }
+
+  const total = OPTIONS.items.length
+  const concurrency = Math.max(1, Math.floor(Number(OPTIONS.concurrency)) || 1)
+
+  return new Promise((resolve, reject) => {
+    const results = new Array(total)
+    let next = 0
+    let running = 0
+    let done = 0
+    let failed = false
+    let timer = null
+
+    if (total === 0) {
+      resolve(results)
+
+      return
+    }
+
+    const start = (index) => {
+      running++
+
+      Promise.resolve()
+        .then(() => OPTIONS.worker(OPTIONS.items[index], index))
+        .then((result) => {
+          results[index] = result
+          running--
+          done++
+
+          OPTIONS.onProgress({ done, total, running, result, index })
+
+          if (done === total) {
+            resolve(results)
+          } else {
+            fill()
+          }
+        })
+        .catch((error) => {
+          running--
+
+          if (!failed) {
+            failed = true
+            clearTimeout(timer)
+            reject(error)
+          }
+        })
+    }
+
+    // Starts tasks until all slots are taken, or until `canStart` asks to wait
+    const fill = () => {
+      clearTimeout(timer)
+      timer = null
+
+      if (failed || next >= total || running >= concurrency) { return }
+
+      if (running > 0 && !OPTIONS.canStart(running)) {
+        timer = setTimeout(fill, OPTIONS.retryInterval)
+
+        return
+      }
+
+      start(next++)
+      fill()
+    }
+
+    fill()
+  })
+}
+
+module.exports = {
+  runQueue,
+}
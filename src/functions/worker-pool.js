@@ -0,0 +1,151 @@
+const { Worker } = require('worker_threads')
+const { log } = require('./helpers')
+
+/**
+ * Recreates error sent from a worker thread
+ *
+ * @param {Object} serialized - Object with `name`, `message` and `stack` keys
+ * @returns {Error}
+ */
+const toError = (serialized) => {
+  const error = new Error(serialized.message)
+
+  error.name = serialized.name
+  error.stack = serialized.stack
+
+  return error
+}
+
+/**
+ * Creates a pool of worker threads. Workers are started on first job, each
+ * runs one job at a time and jobs above the pool size wait in a queue. Worker
+ * which crashed is replaced by a new one.
+ *
+ * Worker script receives `{ id, job, options }` messages and replies with
+ * `{ id, result }` or `{ id, error }`, see `diff-worker.js`.
+ *
+ * @param {Object} options - Configuration object
+ * @param {String} options.file - Path to worker script
+ * @param {Number} [options.size=1] - Max number of workers
+ * @param {Boolean} [options.debug] - Show or hide debug messages
+ * @returns {Object} Pool with `run(job, options)` and `close()` functions
+ *
+ * @example
+ * const workers = createWorkerPool({ file: require.resolve('./diff-worker'), size: 4 })
+ * const result = await workers.run('pixelDiff', { pathBaseline, pathNew, pathDiff })
+ * await workers.close()
+ */
+const createWorkerPool = (options) => {
+  const OPTIONS = {
+    file: null,
+    size: 1,
+    debug: false,
+    ...options
+  }
+
+  if (!OPTIONS.file) { throw new Error('Worker pool requires a worker `file`') }
+
+  const size = Math.max(1, Math.floor(Number(OPTIONS.size)) || 1)
+  const workers = new Set()
+  const idle = []
+  const busy = new Map() // worker => job
+  const queue = []
+  let nextId = 0
+  let closed = false
+
+  const spawn = () => {
+    const worker = new Worker(OPTIONS.file)
+
+    // Job of a crashed worker is rejected and the worker is replaced
+    const drop = (error) => {
+      if (!workers.has(worker)) { return }
+
+      workers.delete(worker)
+
+      if (idle.includes(worker)) { idle.splice(idle.indexOf(worker), 1) }
+
+      const job = busy.get(worker)
+
+      busy.delete(worker)
+
+      if (job) { job.reject(closed ? new Error('Worker pool is closed') : error) }
+
+      if (!closed) {
+        log(`Worker stopped: ${error.message}`, OPTIONS.debug)
+        dispatch()
+      }
+    }
+
+    worker.on('message', ({ id, result, error }) => {
+      const job = busy.get(worker)
+
+      if (!job || job.id !== id) { return }
+
+      busy.delete(worker)
+      idle.push(worker)
+
+      if (error) {
+        job.reject(toError(error))
+      } else {
+        job.resolve(result)
+      }
+
+      dispatch()
+    })
+    worker.on('error', error => drop(error))
+    worker.on('exit', code => drop(new Error(`Worker exited with code ${code}`)))
+
+    workers.add(worker)
+
+    return worker
+  }
+
+  // Sends queued jobs to idle workers, starting new workers when needed
+  const dispatch = () => {
+    while (queue.length > 0) {
+      if (idle.length === 0 && workers.size >= size) { return }
+
+      const worker = idle.length > 0 ? idle.pop() : spawn()
+      const job = queue.shift()
+
+      busy.set(worker, job)
+      worker.postMessage({ id: job.id, job: job.name, options: job.options })
+    }
+  }
+
+  /**
+   * Runs job in a worker
+   *
+   * @param {String} name - Job name known to the worker script
+   * @param {Object} [jobOptions] - Options passed to the job, must be cloneable
+   * @returns {Promise} Resolves with result of the job
+   */
+  const run = (name, jobOptions = {}) => {
+    if (closed) { return Promise.reject(new Error('Worker pool is closed')) }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, name, options: jobOptions, resolve, reject })
+      dispatch()
+    })
+  }
+
+  /**
+   * Stops all workers. Queued and running jobs are rejected.
+   *
+   * @returns {Promise} Resolves once all workers are stopped
+   */
+  const close = () => {
+    closed = true
+
+    queue.splice(0).forEach(job => job.reject(new Error('Worker pool is closed')))
+
+    return Promise.all([...workers].map(worker => worker.terminate()))
+      .then(() => {})
+  }
+
+  return { run, close }
+}
+
+module.exports = {
+  createWorkerPool,
+}
@@ -1,8 +1,21 @@
 const { screenshot } = require('./functions/screenshot')
-const { generateImages, compareImages } = require('./functions/image-diff')
+const { generateImages, compareImages, approveImages } = require('./functions/image-diff')
+const { createHtmlReport } = require('./functions/report')
+const {
+  toJsonResult,
+  toJUnitXml,
+  createJUnitReport,
+  createJsonReport,
+} = require('./functions/result-export')
 
 module.exports = {
   screenshot,
   generateImages,
   compareImages,
+  approveImages,
+  createHtmlReport,
+  toJsonResult,
+  toJUnitXml,
+  createJUnitReport,
+  createJsonReport,
 }
@@ -88,6 +88,7 @@ const testFailed = error => {
 
 generateImages({
   imagesConfig: config,
+  rejectOnFailure: true,
 })
   .then((results) => {
     msg(results)
@@ -0,0 +1,558 @@
+/**
+ * Tests of modules which don't need a browser or network. Run with
+ * `npm run test:unit`, they also run first in `npm test`.
+ */
+const assert = require('assert')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const fse = require('fs-extra')
+const msg = require('fancy-log')
+const chalk = require('chalk')
+const { PNG } = require('pngjs')
+const { validateActions } = require('../src/functions/actions')
+const { EXIT, parseArgs, differenceLabel, run } = require('../src/cli')
+const { createHtmlReport } = require('../src/functions/report')
+const { toJUnitXml } = require('../src/functions/result-export')
+const { approveImages } = require('../src/functions/image-diff')
+const { harFilePath } = require('../src/functions/network')
+const { pixelDiff, SIZE_CHANGED } = require('../src/functions/pixel-diff')
+const { expandMatrix } = require('../src/functions/matrix')
+const { runQueue } = require('../src/functions/task-queue')
+const { findRegions } = require('../src/functions/regions')
+const { encodeApng } = require('../src/functions/apng')
+const { globToRegExp, pairImages } = require('../src/functions/image-pairs')
+
+const tests = []
+
+/**
+ * Registers a test
+ *
+ * @param {String} name - Test name
+ * @param {Function} fn - Test body, may return a promise
+ */
+const test = (name, fn) => tests.push({ name, fn })
+
+/**
+ * Creates a solid PNG image
+ *
+ * @param {String} file - Path where image is saved
+ * @param {Number} width - Image width
+ * @param {Number} height - Image height
+ * @param {Array} [color=[255, 255, 255, 255]] - RGBA color
+ * @returns {String} Path to the image
+ */
+const solidPng = (file, width, height, color = [255, 255, 255, 255]) => {
+  const png = new PNG({ width, height })
+
+  for (let i = 0; i < png.data.length; i += 4) { png.data.set(color, i) }
+
+  fse.outputFileSync(file, PNG.sync.write(png))
+
+  return file
+}
+
+// Actions
+// -----------------------------------------------------------------------------
+test('validateActions requires selectors, keys and values', () => {
+  assert.doesNotThrow(() => validateActions([
+    { type: 'fill', selector: '#q', value: '' },
+    { type: 'select', selector: '#s', value: ['a', 'b'] },
+    { type: 'press', key: 'Enter' },
+    { type: 'wait', duration: 0 },
+  ]))
+  assert.throws(() => validateActions([{ type: 'fill', selector: '#q' }]), /"fill" at step 1 is missing a value/)
+  assert.throws(() => validateActions([{ type: 'select', selector: '#s', value: null }]), /"select" at step 1 is missing a value/)
+  assert.throws(() => validateActions([{ type: 'click' }]), /missing a selector/)
+  assert.throws(() => validateActions([{ type: 'jump' }]), /Unknown action type "jump"/)
+  assert.throws(() => validateActions([{ type: 'toString' }]), /Unknown action type "toString"/)
+  assert.throws(() => validateActions([{ type: 'constructor' }]), /Unknown action type "constructor"/)
+})
+
+// Command line interface
+// -----------------------------------------------------------------------------
+test('parseArgs reads values, boolean, negated and repeated flags', () => {
+  assert.deepStrictEqual(
+    parseArgs(['compare', '--baseline', './base', '--new=./new', '--debug', '--no-captions', '--include', 'a/**', '--include=b.png']),
+    { _: ['compare'], baseline: './base', new: './new', debug: true, captions: false, include: ['a/**', 'b.png'] }
+  )
+  assert.deepStrictEqual(parseArgs(['-h']), { _: [], help: true })
+  assert.throws(() => parseArgs(['compare', '--baseline']), /Option --baseline requires a value/)
+})
+
+test('capture exits with usage error code when the config is invalid', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+  const config = (name, options) => {
+    fse.outputJsonSync(path.join(dir, name), { imagesConfig: [{ goto: 'http://localhost', name: 'home.png' }], ...options })
+
+    return path.join(dir, name)
+  }
+
+  try {
+    assert.strictEqual(await run(['capture', '--config', config('retries.json', { retries: -1 })]), EXIT.error)
+    assert.strictEqual(await run(['capture', '--config', config('stability.json', { stabilityCheck: 'twice' })]), EXIT.error)
+    assert.strictEqual(await run(['capture', '--config', config('matrix.json', {
+      imagesConfig: [{ goto: 'http://localhost', name: 'home.png', engine: ['firefox', 'chromium'], nameTemplate: '{name}.{ext}' }],
+    })]), EXIT.error)
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+// HTML report
+// -----------------------------------------------------------------------------
+test('createHtmlReport embeds every image of a failed comparison once', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+
+  try {
+    solidPng(path.join(dir, 'baseline', 'home.png'), 10, 10)
+    solidPng(path.join(dir, 'new', 'home.png'), 10, 10, [0, 0, 0, 255])
+    solidPng(path.join(dir, 'new', 'diff', 'home.png'), 10, 10, [255, 0, 0, 255])
+
+    const reportPath = await createHtmlReport({
+      path: path.join(dir, 'report.html'),
+      result: {
+        passed: [],
+        failed: [{
+          testedImageName: 'home.png',
+          dirBaseline: path.join(dir, 'baseline'),
+          dirNew: path.join(dir, 'new'),
+          diffImagePath: path.join(dir, 'new', 'diff', 'home.png'),
+          algorithm: 'pixel',
+          diffCount: 100,
+          diffPercentage: 100,
+        }],
+        missing: [],
+        outdated: [],
+      },
+    })
+    const html = await fse.readFile(reportPath, 'utf8')
+
+    assert.strictEqual(html.split('data:image/png;base64,').length - 1, 3)
+    assert.strictEqual(html.split('data-source="baseline"').length - 1, 2)
+    assert.strictEqual(html.split('data-source="new"').length - 1, 2)
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+// JUnit XML
+// -----------------------------------------------------------------------------
+test('toJUnitXml reports failed, missing, outdated and size-changed images', () => {
+  const xml = toJUnitXml({
+    passed: [{ testedImage: 'ok.png', dirBaseline: 'base', dirNew: 'new', algorithm: 'pixel', diffCount: 0, diffPercentage: 0 }],
+    failed: [
+      { testedImageName: 'a&b.png', dirBaseline: 'base', dirNew: 'new', diffImagePath: 'diff/a&b.png', algorithm: 'ssim', score: 0.95, diffCount: 12, diffPercentage: 1.5 },
+      {
+        testedImageName: 'tall.png',
+        dirBaseline: 'base',
+        dirNew: 'new',
+        diffImagePath: 'diff/tall.png',
+        algorithm: 'ssim',
+        score: null,
+        diffCount: null,
+        diffPercentage: null,
+        reason: SIZE_CHANGED,
+        baselineSize: { width: 20, height: 20 },
+        newSize: { width: 20, height: 40 },
+      },
+    ],
+    missing: ['new.png'],
+    outdated: ['old.png'],
+    cancelled: [],
+  }, { suiteName: 'Visual' })
+
+  assert.ok(xml.includes('<testsuite name="Visual" tests="5" failures="2" errors="1" skipped="1"'))
+  assert.ok(xml.includes('name="a&amp;b.png"'))
+  assert.ok(xml.includes('message="1.50% of pixels differ (12 px), ssim score 0.9500"'))
+  assert.ok(xml.includes('<failure type="SizeChanged" message="Image size changed from 20x20 to 20x40"'))
+  assert.ok(xml.includes('<error type="MissingBaseline"'))
+  assert.ok(xml.includes('<skipped message="Image is present in baseline directory, but not in new directory"/>'))
+})
+
+// Baseline approval
+// -----------------------------------------------------------------------------
+test('approveImages leaves images which passed within tolerance untouched', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+  const dirBaseline = path.join(dir, 'baseline')
+  const dirNew = path.join(dir, 'new')
+
+  try {
+    solidPng(path.join(dirBaseline, 'close.png'), 10, 10)
+    solidPng(path.join(dirBaseline, 'encoded.png'), 10, 10)
+    solidPng(path.join(dirNew, 'added.png'), 10, 10)
+
+    // One different pixel, and the same pixels with different compression
+    const close = PNG.sync.read(await fse.readFile(path.join(dirBaseline, 'close.png')))
+
+    close.data.set([0, 0, 0, 255], 0)
+    await fse.outputFile(path.join(dirNew, 'close.png'), PNG.sync.write(close))
+    await fse.outputFile(path.join(dirNew, 'encoded.png'), PNG.sync.write(
+      PNG.sync.read(await fse.readFile(path.join(dirBaseline, 'encoded.png'))),
+      { deflateLevel: 0 }
+    ))
+
+    const baselineClose = await fse.readFile(path.join(dirBaseline, 'close.png'))
+    const result = await approveImages({ dirBaseline, dirNew, maxDiffPixels: 1 })
+
+    assert.deepStrictEqual([result.updated, result.added, result.removed], [[], ['added.png'], []])
+    assert.ok(baselineClose.equals(await fse.readFile(path.join(dirBaseline, 'close.png'))))
+    assert.ok(await fse.pathExists(path.join(dirBaseline, 'added.png')))
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+test('approveImages approves failed images of a comparison result', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+  const dirBaseline = path.join(dir, 'baseline')
+  const dirNew = path.join(dir, 'new')
+  const compared = {
+    passed: [{ testedImage: 'same.png' }],
+    failed: [{ testedImageName: 'home.png', baselineImageName: 'home.png' }],
+    missing: [],
+    outdated: ['old.png'],
+    cancelled: [],
+  }
+
+  try {
+    solidPng(path.join(dirBaseline, 'home.png'), 10, 10)
+    solidPng(path.join(dirBaseline, 'old.png'), 10, 10)
+    solidPng(path.join(dirNew, 'home.png'), 10, 10, [0, 0, 0, 255])
+    solidPng(path.join(dirNew, 'diff', 'home.png'), 10, 10, [255, 0, 0, 255])
+
+    const dryRun = await approveImages({ dirBaseline, dirNew, result: compared, removeOutdated: true, dryRun: true })
+
+    assert.deepStrictEqual(dryRun.log.map(entry => entry.action), ['update', 'remove', 'remove'])
+    assert.ok(await fse.pathExists(path.join(dirNew, 'diff', 'home.png')))
+
+    const approved = await approveImages({ dirBaseline, dirNew, result: compared, removeOutdated: true })
+
+    assert.deepStrictEqual([approved.updated, approved.removed], [['home.png'], ['old.png']])
+    assert.ok((await fse.readFile(path.join(dirNew, 'home.png'))).equals(await fse.readFile(path.join(dirBaseline, 'home.png'))))
+    assert.ok(!(await fse.pathExists(path.join(dirNew, 'diff', 'home.png'))))
+    assert.ok(!(await fse.pathExists(path.join(dirBaseline, 'old.png'))))
+
+    await assert.rejects(approveImages({ dirBaseline, dirNew, result: compared, images: ['other.png'] }), /not present in new directory: other.png/)
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+test('approveImages selects and pairs images like compareImages', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+  const dirBaseline = path.join(dir, 'baseline')
+  const dirNew = path.join(dir, 'new')
+
+  try {
+    solidPng(path.join(dirBaseline, 'codes', 'home-chromium.png'), 10, 10)
+    solidPng(path.join(dirNew, 'codes', 'home-firefox.png'), 10, 10)
+    solidPng(path.join(dirNew, 'codes', 'title.png'), 10, 10)
+    solidPng(path.join(dirNew, 'search', 'results.png'), 10, 10)
+
+    const options = {
+      dirBaseline,
+      dirNew,
+      recursive: true,
+      include: 'codes/**',
+      mapping: name => name.replace('-firefox', '-chromium'),
+    }
+    const dryRun = await approveImages({ ...options, dirBaseline: path.join(dir, 'none'), dryRun: true })
+    const approved = await approveImages(options)
+
+    assert.deepStrictEqual(dryRun.added, ['codes/home-firefox.png', 'codes/title.png'])
+    assert.deepStrictEqual([approved.updated, approved.added], [[], ['codes/title.png']])
+
+    // Failed mapped image replaces its mapped baseline
+    const mapped = await approveImages({
+      ...options,
+      result: {
+        passed: [],
+        failed: [{ testedImageName: 'codes/home-firefox.png', baselineImageName: 'codes/home-chromium.png' }],
+        missing: [],
+        outdated: [],
+        cancelled: [],
+      },
+    })
+
+    assert.deepStrictEqual(mapped.log.map(entry => path.relative(dir, entry.path)), [path.join('baseline', 'codes', 'home-chromium.png')])
+    assert.ok(!(await fse.pathExists(path.join(dirBaseline, 'codes', 'home-firefox.png'))))
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+// Network
+// -----------------------------------------------------------------------------
+test('harFilePath prefers harPath, then harDir, then screenshot path', () => {
+  assert.strictEqual(harFilePath({ harPath: 'fixtures/home.har', harDir: 'baseline', path: 'new', name: 'home.png' }), path.normalize('fixtures/home.har'))
+  assert.strictEqual(harFilePath({ harDir: 'baseline', path: 'new', name: 'home.png' }), path.normalize('baseline/home.har'))
+  assert.strictEqual(harFilePath({ path: 'new', name: 'home.png' }), path.normalize('new/home.har'))
+  assert.strictEqual(harFilePath({ name: 'home.png' }), null)
+})
+
+// Config matrix
+// -----------------------------------------------------------------------------
+test('expandMatrix creates one config per engine and viewport', () => {
+  const configs = expandMatrix([
+    { goto: 'http://localhost', path: './temp/', name: 'home.png', engine: ['firefox', 'chromium'], viewports: [[375, 667], [1280, 800]] },
+    { goto: 'http://localhost', path: './temp/', name: 'about.png' },
+  ])
+
+  assert.deepStrictEqual(configs.map(config => config.name), [
+    'home-firefox-375x667.png',
+    'home-firefox-1280x800.png',
+    'home-chromium-375x667.png',
+    'home-chromium-1280x800.png',
+    'about.png',
+  ])
+  assert.deepStrictEqual(configs[1].matrix, { source: 'home.png', engine: 'firefox', width: 1280, height: 800, variant: null })
+  assert.strictEqual(configs[4].matrix, undefined)
+})
+
+test('expandMatrix rejects configs which save the same file', () => {
+  assert.throws(() => expandMatrix([
+    { goto: 'http://localhost', name: 'home.png', engine: ['firefox', 'chromium'], nameTemplate: '{name}.{ext}' },
+  ]), /more than one image named/)
+})
+
+// Task queue
+// -----------------------------------------------------------------------------
+test('runQueue keeps order of results and limits concurrency', async () => {
+  let running = 0
+  let maxRunning = 0
+  const progress = []
+  const results = await runQueue({
+    items: [30, 10, 20, 0, 5],
+    concurrency: 2,
+    worker: delay => new Promise(resolve => {
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      setTimeout(() => { running--; resolve(delay * 2) }, delay)
+    }),
+    onProgress: ({ done, total }) => progress.push(`${done}/${total}`),
+  })
+
+  assert.deepStrictEqual(results, [60, 20, 40, 0, 10])
+  assert.strictEqual(maxRunning, 2)
+  assert.deepStrictEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5'])
+})
+
+test('runQueue rejects with the first error and starts no other task', async () => {
+  const started = []
+
+  await assert.rejects(runQueue({
+    items: [1, 2, 3],
+    worker: item => {
+      started.push(item)
+
+      return item === 1 ? Promise.reject(new Error('broken')) : Promise.resolve(item)
+    },
+  }), /broken/)
+  assert.deepStrictEqual(started, [1])
+})
+
+// Pixel diff
+// -----------------------------------------------------------------------------
+test('pixelDiff counts padded area of resized images as different', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+
+  try {
+    const pathBaseline = solidPng(path.join(dir, 'baseline.png'), 20, 20)
+    const pathNew = solidPng(path.join(dir, 'new.png'), 20, 40)
+
+    for (const algorithm of ['pixel', 'ssim', 'perceptual']) {
+      const padded = await pixelDiff({ pathBaseline, pathNew, algorithm, sizeMismatch: 'pad' })
+
+      assert.strictEqual(padded.imagesAreSame, false, algorithm)
+      assert.strictEqual(padded.diffCount, 400, algorithm)
+      assert.strictEqual(padded.score, 0.5, algorithm)
+      assert.deepStrictEqual(padded.regions, [{ x: 0, y: 20, width: 20, height: 20, pixels: 400 }], algorithm)
+      assert.strictEqual(padded.sizeChanged, true)
+
+      const overlap = await pixelDiff({ pathBaseline, pathNew, algorithm, sizeMismatch: 'overlap' })
+
+      assert.strictEqual(overlap.imagesAreSame, true, algorithm)
+      assert.deepStrictEqual([overlap.width, overlap.height, overlap.diffCount], [20, 20, 0], algorithm)
+    }
+
+    const ignored = await pixelDiff({ pathBaseline, pathNew, ignoreRegions: [{ x: 0, y: 20, width: 20, height: 10 }] })
+
+    assert.deepStrictEqual([ignored.diffCount, ignored.ignoredPixels], [200, 200])
+
+    const failed = await pixelDiff({ pathBaseline, pathNew, sizeMismatch: 'fail' })
+
+    assert.strictEqual(failed.reason, SIZE_CHANGED)
+    assert.deepStrictEqual([failed.width, failed.diffCount, failed.score], [null, null, null])
+    assert.deepStrictEqual(failed.newSize, { width: 20, height: 40 })
+
+    await assert.rejects(pixelDiff({ pathBaseline, pathNew, sizeMismatch: 'stretch' }), /Unknown size mismatch mode/)
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+test('pixelDiff finds changed pixels of images with the same size', async () => {
+  const dir = await fse.mkdtemp(path.join(os.tmpdir(), 'oll-visual-tester-'))
+
+  try {
+    const pathBaseline = solidPng(path.join(dir, 'baseline.png'), 10, 10)
+    const pathNew = solidPng(path.join(dir, 'new.png'), 10, 10, [0, 0, 0, 255])
+    const same = await pixelDiff({ pathBaseline, pathNew: pathBaseline })
+    const changed = await pixelDiff({ pathBaseline, pathNew, pathDiff: path.join(dir, 'diff.png') })
+
+    assert.deepStrictEqual([same.imagesAreSame, same.diffCount, same.score, same.sizeChanged], [true, 0, 1, false])
+    assert.deepStrictEqual([changed.imagesAreSame, changed.diffCount, changed.regionCount], [false, 100, 1])
+    assert.ok(await fse.pathExists(path.join(dir, 'diff.png')))
+  } finally {
+    await fse.remove(dir)
+  }
+})
+
+// Comparison labels
+// -----------------------------------------------------------------------------
+test('differenceLabel describes failed images', () => {
+  const size = { baselineSize: { width: 20, height: 20 }, newSize: { width: 20, height: 40 } }
+
+  assert.strictEqual(differenceLabel({ algorithm: 'pixel', score: 0.9, diffPercentage: 10 }), '10.00%')
+  assert.strictEqual(differenceLabel({ algorithm: 'ssim', score: 0.97123, diffPercentage: 2.5 }), '2.50% (ssim 0.9712)')
+  assert.strictEqual(
+    differenceLabel({ algorithm: 'ssim', score: null, diffPercentage: null, reason: SIZE_CHANGED, sizeChanged: true, ...size }),
+    'size changed 20x20 -> 20x40'
+  )
+  assert.strictEqual(
+    differenceLabel({ algorithm: 'pixel', score: 0.5, diffPercentage: 50, sizeChanged: true, ...size }),
+    '50.00%, size changed 20x20 -> 20x40'
+  )
+})
+
+// Changed regions
+// -----------------------------------------------------------------------------
+test('findRegions groups touching pixels, largest region first', () => {
+  const width = 6
+  const mask = new Uint8Array(width * 4)
+
+  // Single pixel at the top left and a diagonal line of three pixels
+  ;[[0, 0], [3, 1], [4, 2], [5, 3]].forEach(([x, y]) => { mask[y * width + x] = 1 })
+
+  assert.deepStrictEqual(findRegions(mask, width, 4), [
+    { x: 3, y: 1, width: 3, height: 3, pixels: 3 },
+    { x: 0, y: 0, width: 1, height: 1, pixels: 1 },
+  ])
+  assert.deepStrictEqual(findRegions(new Uint8Array(4), 2, 2), [])
+})
+
+// Animated PNG
+// -----------------------------------------------------------------------------
+test('encodeApng writes valid chunks for every frame', () => {
+  const frame = value => ({ width: 3, height: 2, data: new Uint8Array(3 * 2 * 4).fill(value) })
+  const apng = encodeApng([frame(0), frame(255)], 250)
+  const chunks = []
+  let offset = 8
+
+  while (offset < apng.length) {
+    const length = apng.readUInt32BE(offset)
+    const body = apng.subarray(offset + 4, offset + 8 + length)
+
+    chunks.push({ type: body.toString('ascii', 0, 4), data: body.subarray(4) })
+    offset += length + 12
+  }
+
+  // Decoders which don't know APNG read the first frame, pngjs also checks CRC of every chunk
+  assert.deepStrictEqual(PNG.sync.read(apng).data, Buffer.from(frame(0).data))
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.type), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND'])
+  assert.strictEqual(chunks[1].data.readUInt32BE(0), 2)
+  assert.strictEqual(chunks[2].data.readUInt16BE(20), 250)
+  // Sequence numbers of fcTL and fdAT chunks follow each other
+  assert.deepStrictEqual([chunks[2], chunks[4], chunks[5]].map(chunk => chunk.data.readUInt32BE(0)), [0, 1, 2])
+  // Every row of the second frame starts with a filter byte
+  assert.strictEqual(zlib.inflateSync(chunks[5].data.subarray(4)).length, 2 * (1 + 3 * 4))
+  assert.throws(() => encodeApng([frame(0), { width: 1, height: 1, data: new Uint8Array(4) }]), /same size/)
+})
+
+// Glob patterns and image pairs
+// -----------------------------------------------------------------------------
+test('globToRegExp matches names and relative paths', () => {
+  const matches = (pattern, name) => globToRegExp(pattern).test(name)
+
+  assert.ok(matches('*.png', 'home.png'))
+  assert.ok(!matches('*.png', 'codes/home.png'))
+  assert.ok(matches('**/*.png', 'home.png'))
+  assert.ok(matches('**/*.png', 'codes/title-1/home.png'))
+  assert.ok(matches('codes/**', 'codes/title-1/home.png'))
+  assert.ok(matches('home-{chromium,firefox}.png', 'home-firefox.png'))
+  assert.ok(!matches('home-{chromium,firefox}.png', 'home-webkit.png'))
+  assert.ok(matches('home-?.png', 'home-1.png'))
+  assert.ok(!matches('home.png', 'homexpng'))
+  assert.ok(!matches('(home).png', 'home.png'))
+})
+
+test('pairImages pairs by name and reports missing and outdated images', () => {
+  const files = pairImages(['a.png', 'b.png', 'old.png'], ['a.png', 'b.png', 'new.png'])
+
+  assert.deepStrictEqual(files.compare, ['a.png', 'b.png'])
+  assert.deepStrictEqual(files.missing, ['new.png'])
+  assert.deepStrictEqual(files.outdated, ['old.png'])
+  assert.deepStrictEqual(files.pairs[0], {
+    testedImageName: 'a.png',
+    baselineImageName: 'a.png',
+    pairedBy: 'name',
+    includePattern: null,
+  })
+})
+
+test('pairImages selects images by include and exclude patterns', () => {
+  const files = pairImages(
+    ['codes/a.png', 'codes/draft.png', 'search/b.png', 'codes/old.png'],
+    ['codes/a.png', 'codes/draft.png', 'search/b.png'],
+    { include: 'codes/**', exclude: ['**/draft.png'] }
+  )
+
+  assert.deepStrictEqual(files.compare, ['codes/a.png'])
+  assert.deepStrictEqual(files.missing, [])
+  assert.deepStrictEqual(files.outdated, ['codes/old.png'])
+  assert.strictEqual(files.pairs[0].includePattern, 'codes/**')
+})
+
+test('pairImages pairs differently named images by mapping', () => {
+  const baseline = ['home-chromium.png', 'about.png']
+  const current = ['home-firefox.png', 'home-webkit.png', 'about.png']
+  const table = pairImages(baseline, current, {
+    mapping: { 'home-firefox.png': 'home-chromium.png', 'home-webkit.png': 'home-chromium.png' },
+  })
+  const fn = pairImages(baseline, current, { mapping: name => name.replace(/-(firefox|webkit)/, '-chromium') })
+
+  ;[table, fn].forEach(files => {
+    assert.deepStrictEqual(files.compare, ['home-firefox.png', 'home-webkit.png', 'about.png'])
+    assert.deepStrictEqual(files.pairs.map(pair => pair.pairedBy), ['mapping', 'mapping', 'name'])
+    assert.strictEqual(files.pairs[1].baselineImageName, 'home-chromium.png')
+    assert.deepStrictEqual(files.outdated, [])
+  })
+
+  assert.throws(() => pairImages([], [], { mapping: [] }), /"mapping" must be an object or a function/)
+  assert.throws(() => pairImages([], [], { include: 5 }), /"include" must be a glob pattern/)
+})
+
+// Run tests one by one
+// -----------------------------------------------------------------------------
+const runTests = async () => {
+  let failed = 0
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn()
+      msg(`${chalk.green('pass')} ${name}`)
+    } catch (error) {
+      failed++
+      msg(`${chalk.red('fail')} ${name}`)
+      msg(error.stack)
+    }
+  }
+
+  msg(`${tests.length - failed} passed, ${failed} failed`)
+
+  if (failed > 0) { process.exitCode = 1 }
+}
+
+runTests()